@@ -0,0 +1,191 @@
+/* Geradores Python, Lua e Dart para o painel de código */
+
+// The code panel shows these instead of the JavaScript that actually runs, so
+// they favour readability: plain calls on a `robot` object named after the
+// GameAPI functions, with no awaits or loop guards.
+
+// Robot calls made by action blocks: [GameAPI function, ...argument code]
+// or null when the block has nothing to do
+const ROBOT_ACTIONS = {
+  move_forward: block => ['moveForward', block.getFieldValue('STEPS')],
+  move_forward_by: (block, generator) =>
+    ['moveForward', generator.valueToCode(block, 'STEPS', generator.ORDER_NONE) || '1'],
+  move_backward: block => ['moveBackward', block.getFieldValue('STEPS')],
+  rotate_left: () => ['rotateLeft'],
+  rotate_right: () => ['rotateRight'],
+  face_direction: block => ['face', `'${block.getFieldValue('DIRECTION')}'`],
+  go_to_waypoint: (block, generator) => {
+    const name = block.getFieldValue('NAME');
+    return name ? ['goToWaypoint', generator.quote_(name)] : null;
+  },
+  wait_seconds: block => ['wait', block.getFieldValue('SECONDS')],
+  pick_object: () => ['pickupItem'],
+  release_object: () => ['dropItem'],
+  move_to_position: block => {
+    const coords = savedCoordinates.get(block.getFieldValue('DROPDOWN_OPTIONS'));
+    return coords ? ['setPosition', coords[0], coords[1]] : null;
+  }
+};
+
+const ROBOT_SENSORS = {
+  sensor_path_blocked: 'isPathBlocked',
+  sensor_box_in_front: 'isItemInFront',
+  sensor_next_to_conveyor: 'isNextToConveyor',
+  sensor_carrying_box: 'isCarryingItem'
+};
+
+const toSnakeCase = name => name.replace(/[A-Z]/g, letter => '_' + letter.toLowerCase());
+
+// Language-specific pieces shared by the generators below
+const CODE_LANGUAGES = {
+  python: {
+    generator: Blockly.Python,
+    reservedWords: 'robot,n,_',
+    call: (name, args) => `robot.${toSnakeCase(name)}(${args.join(', ')})`,
+    statementEnd: '',
+    callOrder: Blockly.Python.ORDER_FUNCTION_CALL,
+    notOrder: Blockly.Python.ORDER_LOGICAL_NOT,
+    not: value => `not ${value}`,
+    true: 'True',
+    false: 'False',
+    emptyBody: () => Blockly.Python.PASS,
+    repeat: (times, body) => `for _ in range(${times}):\n${body}`,
+    while: (condition, body) => `while ${condition}:\n${body}`,
+    if: (condition, body) => `if ${condition}:\n${body}`,
+    ifElse: (condition, body, elseBody) => `if ${condition}:\n${body}else:\n${elseBody}`,
+    define: (name, param, body) => `def ${name}(${param}):\n${body}`
+  },
+  lua: {
+    generator: Blockly.Lua,
+    reservedWords: 'robot,n,_',
+    call: (name, args) => `robot.${toSnakeCase(name)}(${args.join(', ')})`,
+    statementEnd: '',
+    callOrder: Blockly.Lua.ORDER_HIGH,
+    notOrder: Blockly.Lua.ORDER_UNARY,
+    not: value => `not ${value}`,
+    true: 'true',
+    false: 'false',
+    emptyBody: () => '',
+    repeat: (times, body) => `for _ = 1, ${times} do\n${body}end\n`,
+    while: (condition, body) => `while ${condition} do\n${body}end\n`,
+    if: (condition, body) => `if ${condition} then\n${body}end\n`,
+    ifElse: (condition, body, elseBody) => `if ${condition} then\n${body}else\n${elseBody}end\n`,
+    define: (name, param, body) => `function ${name}(${param})\n${body}end`
+  },
+  dart: {
+    generator: Blockly.Dart,
+    reservedWords: 'robot,n,i',
+    call: (name, args) => `robot.${name}(${args.join(', ')})`,
+    statementEnd: ';',
+    callOrder: Blockly.Dart.ORDER_UNARY_POSTFIX,
+    notOrder: Blockly.Dart.ORDER_UNARY_PREFIX,
+    not: value => `!${value}`,
+    true: 'true',
+    false: 'false',
+    emptyBody: () => '',
+    repeat: (times, body) => `for (var i = 0; i < ${times}; i++) {\n${body}}\n`,
+    while: (condition, body) => `while (${condition}) {\n${body}}\n`,
+    if: (condition, body) => `if (${condition}) {\n${body}}\n`,
+    ifElse: (condition, body, elseBody) => `if (${condition}) {\n${body}} else {\n${elseBody}}\n`,
+    define: (name, param, body) => `void ${name}(${param ? 'num ' + param : ''}) {\n${body}}`
+  }
+};
+
+Object.values(CODE_LANGUAGES).forEach(language => {
+  const generator = language.generator;
+  const body = (block, name) => generator.statementToCode(block, name) || language.emptyBody();
+
+  // Routine names must not shadow the robot, "n" or the loop counter
+  generator.addReservedWords(language.reservedWords);
+
+  Object.keys(ROBOT_ACTIONS).forEach(type => {
+    generator[type] = function(block) {
+      const action = ROBOT_ACTIONS[type](block, generator);
+      if (!action) return '';
+      const [name, ...args] = action;
+      return `${language.call(name, args)}${language.statementEnd}\n`;
+    };
+  });
+
+  Object.keys(ROBOT_SENSORS).forEach(type => {
+    generator[type] = function() {
+      return [language.call(ROBOT_SENSORS[type], []), language.callOrder];
+    };
+  });
+
+  generator['controls_repeat'] = function(block) {
+    return language.repeat(block.getFieldValue('TIMES'), body(block, 'DO'));
+  };
+
+  generator['controls_whileUntil'] = function(block) {
+    const until = block.getFieldValue('MODE') === 'UNTIL';
+    let condition = generator.valueToCode(block, 'BOOL',
+      until ? language.notOrder : generator.ORDER_NONE) || language.false;
+    if (until) condition = language.not(condition);
+    return language.while(condition, body(block, 'DO'));
+  };
+
+  generator['controls_if'] = function(block) {
+    const condition = generator.valueToCode(block, 'IF', generator.ORDER_NONE) || language.false;
+    return language.if(condition, body(block, 'DO'));
+  };
+
+  generator['controls_ifelse'] = function(block) {
+    const condition = generator.valueToCode(block, 'IF', generator.ORDER_NONE) || language.false;
+    return language.ifElse(condition, body(block, 'DO'), body(block, 'ELSE'));
+  };
+
+  generator['logic_negate'] = function(block) {
+    const value = generator.valueToCode(block, 'BOOL', language.notOrder) || language.true;
+    return [language.not(value), language.notOrder];
+  };
+
+  // Routines are emitted once, ahead of the program, like the JavaScript generator does
+  generator['procedure_define'] = function(block) {
+    const name = generator.nameDB_.getName(block.getFieldValue('NAME'), Blockly.Names.NameType.PROCEDURE);
+    const param = block.getFieldValue('HAS_PARAM') === 'TRUE' ? 'n' : '';
+    generator.definitions_['%' + name] = language.define(name, param, body(block, 'DO'));
+    return null;
+  };
+
+  generator['procedure_call'] = function(block) {
+    const routine = block.getFieldValue('NAME');
+    const definition = block.workspace.getBlocksByType('procedure_define', false)
+      .find(def => def.isEnabled() && def.getFieldValue('NAME') === routine);
+    if (!routine || !definition) return '';
+
+    // The number is only passed to routines that take n
+    const arg = definition.getFieldValue('HAS_PARAM') === 'TRUE' ? Number(block.getFieldValue('ARG')) : '';
+
+    const name = generator.nameDB_.getName(routine, Blockly.Names.NameType.PROCEDURE);
+    return `${name}(${arg})${language.statementEnd}\n`;
+  };
+
+  generator['procedure_param'] = function(block) {
+    const root = block.getRootBlock();
+    const hasParam = root.type === 'procedure_define' && root.getFieldValue('HAS_PARAM') === 'TRUE';
+    return [hasParam ? 'n' : '0', generator.ORDER_ATOMIC];
+  };
+
+  generator['custom_start'] = function() {
+    return '';
+  };
+});
+
+/**
+ * Generate the program (routines and the chain under "When program starts")
+ * in one of the panel's languages
+ * @param {string} languageName - 'python', 'lua' or 'dart'
+ */
+function generateRobotCode(workspace, languageName) {
+  const generator = CODE_LANGUAGES[languageName].generator;
+  const startBlock = workspace.getBlocksByType('custom_start')[0];
+  if (!startBlock) return '';
+
+  generator.init(workspace);
+  workspace.getBlocksByType('procedure_define', true).forEach(routine => generator.blockToCode(routine));
+  const code = generator.blockToCode(startBlock);
+
+  // finish() adds the routine definitions (and, for Dart, wraps the program in main())
+  return generator.finish(code).trim() + '\n';
+}
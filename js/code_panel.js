@@ -0,0 +1,87 @@
+/**
+ * Code Panel
+ * Collapsible panel under the Blockly workspace that shows the program in
+ * Python, Lua or Dart (see code_generators.js). The code is regenerated on
+ * every workspace change while the panel is open and can be copied out.
+ */
+
+class CodePanel {
+  constructor() {
+    this.workspace = null;
+    this.visible = false;
+    this.language = 'python';
+  }
+
+  /**
+   * Attach the workspace and wire the tabs
+   */
+  attach(workspace) {
+    this.workspace = workspace;
+
+    document.querySelectorAll('#code-panel .code-tab').forEach(tab => {
+      tab.addEventListener('click', () => this.selectLanguage(tab.dataset.language));
+    });
+
+    workspace.addChangeListener(event => {
+      if (event.isUiEvent || !this.visible) return;
+      this.refresh();
+    });
+  }
+
+  /**
+   * Show or hide the panel
+   */
+  toggle() {
+    this.visible = !this.visible;
+    document.getElementById('code-panel').classList.toggle('d-none', !this.visible);
+    document.getElementById('show-code-btn').classList.toggle('active', this.visible);
+
+    if (this.visible) {
+      this.refresh();
+    }
+  }
+
+  selectLanguage(language) {
+    this.language = language;
+    document.querySelectorAll('#code-panel .code-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.language === language);
+    });
+    this.refresh();
+  }
+
+  /**
+   * Regenerate the code in the selected language
+   */
+  refresh() {
+    const output = document.getElementById('code-panel-output');
+    try {
+      output.textContent = generateRobotCode(this.workspace, this.language);
+    } catch (e) {
+      console.error('Code generation failed:', e);
+      output.textContent = window.I18n.t('code.error', { language: this.language, message: e.message });
+    }
+  }
+
+  /**
+   * Copy the shown code to the clipboard
+   */
+  async copy() {
+    const button = document.getElementById('code-copy-btn');
+    const code = document.getElementById('code-panel-output').textContent;
+
+    try {
+      await navigator.clipboard.writeText(code);
+      button.innerHTML = `<i class="fas fa-check"></i> ${window.I18n.t('code.copied')}`;
+    } catch (e) {
+      // Clipboard access is refused outside secure contexts; select the code instead
+      window.getSelection().selectAllChildren(document.getElementById('code-panel-output'));
+      button.innerHTML = `<i class="fas fa-i-cursor"></i> ${window.I18n.t('code.press_copy')}`;
+    }
+    setTimeout(() => {
+      button.innerHTML = `<i class="fas fa-copy"></i> ${window.I18n.t('code.copy')}`;
+    }, 2000);
+  }
+}
+
+// Initialize code panel
+window.CodePanel = new CodePanel();
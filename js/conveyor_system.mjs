@@ -0,0 +1,152 @@
+import { DIRECTION_ALIASES, FORWARD_OFFSETS } from './grid_world.mjs';
+
+/**
+ * ConveyorSystem - Moving conveyor belts of a GridWorld
+ * Each tile on the level's conveyor layer takes its direction from the tile's
+ * `direction` property in the tileset, or else from the map's
+ * `conveyorDirection` property; belts without one stand still. Every tick(),
+ * which GridWorld.endAction() makes at the end of each robot action,
+ * moves the items lying on moving belts one cell along. Like GridWorld it has
+ * no Phaser dependency.
+ */
+export class ConveyorSystem {
+  /**
+   * @param {GridWorld} world - World whose items the belts carry
+   */
+  constructor(world) {
+    this.world = world;
+    this.directions = this.readDirections();
+  }
+
+  /**
+   * Read the direction of every moving belt tile
+   * @returns {Map<string, number>} Direction values keyed by "x,y"
+   */
+  readDirections() {
+    const world = this.world;
+    const layerName = world.levelConfig.conveyorLayer;
+    const mapDirection = world.getMapProperty('conveyorDirection');
+    const directions = new Map();
+
+    for (let y = 0; y < world.height; y++) {
+      for (let x = 0; x < world.width; x++) {
+        if (!world.isConveyor(x, y)) continue;
+
+        const tileDirection = world.getTileProperty(x, y, layerName, 'direction');
+        const name = tileDirection !== undefined ? tileDirection : mapDirection;
+        if (name === undefined || name === '') continue;
+
+        const direction = DIRECTION_ALIASES[String(name).toLowerCase()];
+        if (direction === undefined) {
+          console.warn(`Conveyor at (${x}, ${y}) has an unknown direction "${name}"`);
+          continue;
+        }
+        directions.set(`${x},${y}`, direction);
+      }
+    }
+    return directions;
+  }
+
+  /**
+   * Get the direction a belt moves in
+   * @returns {number|null} Direction value, or null for a still belt or no belt
+   */
+  getDirection(gridX, gridY) {
+    const direction = this.directions.get(`${gridX},${gridY}`);
+    return direction === undefined ? null : direction;
+  }
+
+  hasMovingBelts() {
+    return this.directions.size > 0;
+  }
+
+  /**
+   * Check if a belt can push an item into a cell: another belt or item
+   * surface, or free floor past the end of the belt. The robot's cell and
+   * obstacles hold the item back.
+   */
+  canReceive(gridX, gridY) {
+    const world = this.world;
+    if (!world.isInBounds(gridX, gridY)) return false;
+    if (world.robot.gridX === gridX && world.robot.gridY === gridY) return false;
+    return world.isItemSurface(gridX, gridY) || !world.isObstacle(gridX, gridY);
+  }
+
+  /**
+   * Move every item on a moving belt one cell along it. Items move together,
+   * so a row of boxes advances as one. Two items heading for the same cell, or
+   * an item running into one that stays put, jam and do not move.
+   * @returns {{moved: Array<Object>, jammed: Array<Object>}} moved entries are
+   *   {item, fromX, fromY, x, y, outcome}, with outcome judged like a drop on
+   *   the new cell ('win', 'lose' or 'continue'); jammed lists the items that
+   *   jammed on this tick
+   */
+  tick() {
+    const world = this.world;
+
+    // Where each item on a moving belt is heading
+    const targets = new Map();
+    world.items.forEach(item => {
+      if (item.isCarried) return;
+      const direction = this.getDirection(item.gridX, item.gridY);
+      if (direction === null) return;
+
+      const offset = FORWARD_OFFSETS[direction];
+      const target = { x: item.gridX + offset.x, y: item.gridY + offset.y };
+      if (this.canReceive(target.x, target.y)) {
+        targets.set(item, target);
+      }
+    });
+
+    // Items heading for the same cell collide
+    const stuck = new Set();
+    const itemsByCell = new Map();
+    targets.forEach((target, item) => {
+      const key = `${target.x},${target.y}`;
+      itemsByCell.set(key, [...(itemsByCell.get(key) || []), item]);
+    });
+    itemsByCell.forEach(items => {
+      if (items.length > 1) items.forEach(item => stuck.add(item));
+    });
+
+    // Items on belts facing each other collide too
+    targets.forEach((target, item) => {
+      const occupant = world.getItemAt(target.x, target.y);
+      const back = occupant && targets.get(occupant);
+      if (back && back.x === item.gridX && back.y === item.gridY) stuck.add(item);
+    });
+
+    // An item stays behind one that is not moving out of its way
+    let changed = true;
+    while (changed) {
+      changed = false;
+      targets.forEach((target, item) => {
+        if (stuck.has(item)) return;
+        const occupant = world.getItemAt(target.x, target.y);
+        if (occupant && (!targets.has(occupant) || stuck.has(occupant))) {
+          stuck.add(item);
+          changed = true;
+        }
+      });
+    }
+
+    const moved = [];
+    const jammed = [];
+    world.items.forEach(item => {
+      const target = targets.get(item);
+      const isJammed = Boolean(target) && stuck.has(item);
+      if (isJammed && !item.isJammed) jammed.push(item);
+      item.isJammed = isJammed;
+      if (!target || isJammed) return;
+
+      moved.push({ item, fromX: item.gridX, fromY: item.gridY, x: target.x, y: target.y });
+      item.gridX = target.x;
+      item.gridY = target.y;
+    });
+
+    moved.forEach(move => {
+      move.outcome = world.judgeDrop(move.x, move.y);
+    });
+    return { moved, jammed };
+  }
+}
@@ -0,0 +1,638 @@
+/**
+ * GridWorld - Headless model of a level
+ * Holds the map, the robot and the items, and owns the rules for moving,
+ * blocking, picking up, dropping and winning, and moves its conveyor belts
+ * at the end of every robot action. It has no Phaser dependency,
+ * so the same level config and Tiled JSON can be simulated in the browser
+ * (where IsometricTilemap/IsometricPlayer render it) or in Node.
+ */
+import { ConveyorSystem } from './conveyor_system.mjs';
+
+// Direction values match the robot sprite frames
+export const DIRECTIONS = { SOUTH: 0, EAST: 1, WEST: 2, NORTH: 3 };
+
+export const DIRECTION_NAMES = ['South', 'East', 'West', 'North'];
+
+export const DIRECTION_ALIASES = {
+  south: 0, down: 0,
+  east: 1, right: 1,
+  west: 2, left: 2,
+  north: 3, up: 3
+};
+
+// Grid offset of one step forward for each direction
+export const FORWARD_OFFSETS = [
+  { x: 0, y: 1 },  // South
+  { x: 1, y: 0 },  // East
+  { x: -1, y: 0 }, // West
+  { x: 0, y: -1 }  // North
+];
+
+// Tiled stores custom properties as [{ name, type, value }]
+function readProperties(list = []) {
+  const properties = {};
+  list.forEach(property => {
+    properties[property.name] = property.value;
+  });
+  return properties;
+}
+
+// A direction value, or a name like the ones face() takes
+function parseDirection(value) {
+  if (typeof value === 'number') return value;
+  const direction = DIRECTION_ALIASES[String(value).toLowerCase()];
+  return direction === undefined ? DIRECTIONS.SOUTH : direction;
+}
+
+export class GridWorld {
+  /**
+   * @param {Object} mapData - Tiled JSON map
+   * @param {Object} levelConfig - Level configuration from LevelManager; its
+   *   layout fields override the ones drawn in the map (see readLayout())
+   */
+  constructor(mapData, levelConfig = {}) {
+    this.mapData = mapData;
+    this.width = mapData.width;
+    this.height = mapData.height;
+
+    // Tile layers by name; the first layer in the map is the floor
+    this.tileLayers = {};
+    (mapData.layers || []).forEach(layer => {
+      if (layer.type === 'tilelayer') {
+        this.tileLayers[layer.name] = layer;
+      }
+    });
+    this.floorLayer = mapData.layers && mapData.layers[0];
+
+    // Custom properties of the map and of tiles by tile id. Only tilesets
+    // embedded in the map carry tile properties; external .tsx files are not read.
+    this.mapProperties = readProperties(mapData.properties);
+    this.tileProperties = {};
+    (mapData.tilesets || []).forEach(tileset => {
+      (tileset.tiles || []).forEach(tile => {
+        this.tileProperties[tileset.firstgid + tile.id] = readProperties(tile.properties);
+      });
+    });
+
+    // Objects placed on the map's object layers
+    this.objects = [];
+    (mapData.layers || []).forEach(layer => {
+      if (layer.type === 'objectgroup') {
+        layer.objects.forEach(object => this.objects.push(this.readObject(object)));
+      }
+    });
+
+    const overrides = {};
+    Object.entries(levelConfig).forEach(([key, value]) => {
+      if (value !== undefined) overrides[key] = value;
+    });
+    this.levelConfig = { ...this.readLayout(), ...overrides };
+
+    // Which cells block the robot, worked out once from the tiles
+    this.collisionGrid = this.buildCollisionGrid();
+
+    // Belts carry items once at the end of every robot action (see endAction())
+    this.conveyors = new ConveyorSystem(this);
+
+    // Called with each endAction() result, e.g. by a renderer to animate the belts
+    this.onActionEnd = null;
+
+    this.robot = { gridX: 0, gridY: 0, direction: DIRECTIONS.SOUTH };
+    this.items = [];
+    this.carriedItem = null;
+    this.nextItemId = 1;
+
+    this.reset();
+  }
+
+  /**
+   * Put the robot and items back where the level config starts them
+   */
+  reset() {
+    const start = this.levelConfig.playerStart || { x: 0, y: 0, direction: DIRECTIONS.SOUTH };
+    this.robot = { gridX: start.x, gridY: start.y, direction: start.direction || DIRECTIONS.SOUTH };
+    this.items = [];
+    this.carriedItem = null;
+    this.nextItemId = 1;
+
+    // 'win' or 'lose' once the level has been decided
+    this.outcome = null;
+
+    (this.levelConfig.itemSpawns || []).forEach(spawn => {
+      this.spawnItem(spawn.x, spawn.y, spawn);
+    });
+  }
+
+  // ------------------ Map queries ------------------
+
+  /**
+   * Check if a grid position is inside the map
+   */
+  isInBounds(gridX, gridY) {
+    return gridX >= 0 && gridX < this.width && gridY >= 0 && gridY < this.height;
+  }
+
+  /**
+   * Get the tile id at a position on a layer (0 when empty)
+   */
+  getTileId(gridX, gridY, layerName) {
+    const layer = this.tileLayers[layerName];
+    if (!layer || !this.isInBounds(gridX, gridY)) return 0;
+    return layer.data[gridY * this.width + gridX] || 0;
+  }
+
+  /**
+   * Check if a tile exists at a position on a layer
+   */
+  hasTileAt(gridX, gridY, layerName) {
+    return this.getTileId(gridX, gridY, layerName) > 0;
+  }
+
+  /**
+   * Get all tiles at a position across all layers
+   * @returns {Array<{layerName: string, tileId: number}>}
+   */
+  getTilesAt(gridX, gridY) {
+    return this.getLayerNames()
+      .map(layerName => ({ layerName, tileId: this.getTileId(gridX, gridY, layerName) }))
+      .filter(tile => tile.tileId > 0);
+  }
+
+  getLayerNames() {
+    return Object.keys(this.tileLayers);
+  }
+
+  /**
+   * Get a custom property of the tile at a position on a layer
+   * @returns {*} The value, or undefined when the tile does not set it
+   */
+  getTileProperty(gridX, gridY, layerName, name) {
+    const properties = this.tileProperties[this.getTileId(gridX, gridY, layerName)];
+    return properties ? properties[name] : undefined;
+  }
+
+  getMapProperty(name) {
+    return this.mapProperties[name];
+  }
+
+  /**
+   * Place a Tiled object on the grid. Isometric maps measure object positions
+   * in tile heights along both axes; a point is placed where it is and a
+   * rectangle by its centre.
+   * @returns {{name: string, type: string, gridX: number, gridY: number, properties: Object}}
+   */
+  readObject(object) {
+    const unitX = this.mapData.orientation === 'isometric' ? this.mapData.tileheight : this.mapData.tilewidth;
+    const unitY = this.mapData.tileheight;
+    return {
+      name: object.name || '',
+      type: (object.type || object.class || '').toLowerCase(),
+      gridX: Math.floor((object.x + (object.width || 0) / 2) / unitX),
+      gridY: Math.floor((object.y + (object.height || 0) / 2) / unitY),
+      properties: readProperties(object.properties)
+    };
+  }
+
+  /**
+   * Get the map objects of a type (robot, item, goal, ...)
+   */
+  getObjects(type) {
+    return this.objects.filter(object => object.type === type);
+  }
+
+  /**
+   * Read the level layout drawn in Tiled: a `robot` object with an optional
+   * `direction` property, `item` objects with optional `spriteKey`, `frame` and
+   * `scale` properties, `goal` objects, named `waypoint` objects, and the
+   * conveyor layer named by the map's `conveyorLayer` property or marked with
+   * a `conveyor` layer property
+   * @returns {Object} The level config fields the map defines
+   */
+  readLayout() {
+    const layout = {};
+
+    const robot = this.getObjects('robot')[0];
+    if (robot) {
+      layout.playerStart = {
+        x: robot.gridX,
+        y: robot.gridY,
+        direction: parseDirection(robot.properties.direction)
+      };
+    }
+
+    const items = this.getObjects('item');
+    if (items.length > 0) {
+      layout.itemSpawns = items.map(item => ({
+        spriteKey: item.properties.spriteKey || 'boxes',
+        x: item.gridX,
+        y: item.gridY,
+        frame: item.properties.frame || 0,
+        scale: item.properties.scale || 1.5
+      }));
+    }
+
+    const goals = this.getObjects('goal');
+    if (goals.length > 0) {
+      layout.goalConveyors = goals.map(goal => ({ x: goal.gridX, y: goal.gridY }));
+    }
+
+    const waypoints = this.getObjects('waypoint');
+    if (waypoints.length > 0) {
+      layout.waypoints = waypoints.map(waypoint => ({ name: waypoint.name, x: waypoint.gridX, y: waypoint.gridY }));
+    }
+
+    const conveyorLayer = this.getMapProperty('conveyorLayer') || this.getLayerNames().find(layerName =>
+      readProperties(this.tileLayers[layerName].properties).conveyor === true
+    );
+    if (conveyorLayer) {
+      layout.conveyorLayer = conveyorLayer;
+    }
+
+    return layout;
+  }
+
+  /**
+   * Find one of the level's waypoints by name, ignoring case
+   * @returns {{name: string, x: number, y: number}|null}
+   */
+  getWaypoint(name) {
+    const wanted = String(name).toLowerCase();
+    return (this.levelConfig.waypoints || []).find(waypoint => waypoint.name.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * Check if any tile at a position has a custom property set to true
+   */
+  hasTileProperty(gridX, gridY, name) {
+    return this.getLayerNames().some(layerName => this.getTileProperty(gridX, gridY, layerName, name) === true);
+  }
+
+  /**
+   * Check if a tile keeps the robot out. The tile's `collides` or `walkable`
+   * property decides, then the same properties on its layer; without either,
+   * any tile off the floor layer blocks.
+   */
+  tileCollides(gridX, gridY, layerName) {
+    const layer = this.tileLayers[layerName];
+    const layerProperties = readProperties(layer.properties);
+    const sources = [
+      {
+        collides: this.getTileProperty(gridX, gridY, layerName, 'collides'),
+        walkable: this.getTileProperty(gridX, gridY, layerName, 'walkable')
+      },
+      layerProperties
+    ];
+
+    for (const source of sources) {
+      if (typeof source.collides === 'boolean') return source.collides;
+      if (typeof source.walkable === 'boolean') return !source.walkable;
+    }
+    return layer !== this.floorLayer;
+  }
+
+  /**
+   * Work out which cells block the robot
+   * @returns {Array<boolean>} One entry per cell, row by row
+   */
+  buildCollisionGrid() {
+    const grid = new Array(this.width * this.height).fill(false);
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        grid[y * this.width + x] = this.getLayerNames().some(layerName =>
+          this.hasTileAt(x, y, layerName) && this.tileCollides(x, y, layerName)
+        );
+      }
+    }
+    return grid;
+  }
+
+  /**
+   * Check if the collision grid blocks the position
+   */
+  isObstacle(gridX, gridY) {
+    return this.isInBounds(gridX, gridY) && this.collisionGrid[gridY * this.width + gridX];
+  }
+
+  /**
+   * Check if a position is a goal: listed in the level's goalConveyors or a tile with the `goal` property
+   */
+  isGoal(gridX, gridY) {
+    return (this.levelConfig.goalConveyors || []).some(goal => goal.x === gridX && goal.y === gridY) ||
+      this.hasTileProperty(gridX, gridY, 'goal');
+  }
+
+  isConveyor(gridX, gridY) {
+    return this.hasTileAt(gridX, gridY, this.levelConfig.conveyorLayer);
+  }
+
+  /**
+   * Check if items may be left at a position: conveyors and tiles with the `itemSurface` property
+   */
+  isItemSurface(gridX, gridY) {
+    return this.isConveyor(gridX, gridY) || this.hasTileProperty(gridX, gridY, 'itemSurface');
+  }
+
+  // ------------------ Robot ------------------
+
+  /**
+   * Place the robot without checking the rules
+   */
+  placeRobot(gridX, gridY, direction = this.robot.direction) {
+    this.robot.gridX = gridX;
+    this.robot.gridY = gridY;
+    this.robot.direction = direction;
+  }
+
+  /**
+   * Turn the robot 90 degrees
+   * @param {number} delta - Negative for counterclockwise, positive for clockwise
+   * @returns {number} New direction
+   */
+  rotate(delta) {
+    // Rotation order in direction values: 0=South, 1=East, 2=West, 3=North
+    const sequence = delta < 0
+      ? [0, 1, 3, 2]  // South -> East -> North -> West
+      : [0, 2, 3, 1]; // South -> West -> North -> East
+    const currentIndex = sequence.indexOf(this.robot.direction);
+    this.robot.direction = sequence[(currentIndex + 1) % 4];
+    this.endAction();
+    return this.robot.direction;
+  }
+
+  /**
+   * Face a named direction (south/down, east/right, west/left, north/up)
+   * @returns {boolean} False for an unknown name
+   */
+  face(dirName) {
+    if (!(dirName in DIRECTION_ALIASES)) return false;
+    this.robot.direction = DIRECTION_ALIASES[dirName];
+    this.endAction();
+    return true;
+  }
+
+  /**
+   * Wait without moving; the belts advance once for every whole second
+   */
+  wait(seconds) {
+    for (let i = 0; i < Math.floor(seconds); i++) {
+      this.endAction();
+    }
+  }
+
+  /**
+   * Get the grid position next to the robot
+   * @param {number} sign - +1 for in front, -1 for behind
+   */
+  getAdjacentPosition(sign = 1) {
+    const offset = FORWARD_OFFSETS[this.robot.direction];
+    return {
+      x: this.robot.gridX + offset.x * sign,
+      y: this.robot.gridY + offset.y * sign
+    };
+  }
+
+  /**
+   * Get the direction from the robot to a neighbouring cell
+   * @returns {number} Direction value, or -1 when the cell is not next to the robot
+   */
+  getDirectionTo(gridX, gridY) {
+    return FORWARD_OFFSETS.findIndex(offset =>
+      this.robot.gridX + offset.x === gridX && this.robot.gridY + offset.y === gridY
+    );
+  }
+
+  /**
+   * Get the next quarter turn towards a direction, as a rotate() delta
+   * @returns {number} -1 or +1, or 0 when the robot already faces that way
+   */
+  getTurnTowards(direction) {
+    const sequence = [0, 1, 3, 2]; // Counterclockwise, as in rotate()
+    const steps = (sequence.indexOf(direction) - sequence.indexOf(this.robot.direction) + 4) % 4;
+    if (steps === 0) return 0;
+    return steps === 3 ? +1 : -1;
+  }
+
+  getPositionInFront() {
+    return this.getAdjacentPosition(1);
+  }
+
+  getPositionBehind() {
+    return this.getAdjacentPosition(-1);
+  }
+
+  /**
+   * Check whether the robot may enter a position
+   * @returns {{ok: boolean, reason: string|null}} reason is 'out-of-bounds' or 'obstacle'
+   */
+  checkMove(gridX, gridY) {
+    if (!this.isInBounds(gridX, gridY)) return { ok: false, reason: 'out-of-bounds' };
+    if (this.isObstacle(gridX, gridY)) return { ok: false, reason: 'obstacle' };
+    return { ok: true, reason: null };
+  }
+
+  /**
+   * Move the robot to a position if the rules allow it. A refused move still
+   * counts as an action.
+   * @returns {{ok: boolean, reason: string|null}}
+   */
+  moveRobotTo(gridX, gridY) {
+    const result = this.checkMove(gridX, gridY);
+    if (result.ok) {
+      this.placeRobot(gridX, gridY);
+    }
+    this.endAction();
+    return result;
+  }
+
+  /**
+   * Move one step forward (+1) or backward (-1)
+   */
+  step(sign = 1) {
+    const pos = this.getAdjacentPosition(sign);
+    return { ...this.moveRobotTo(pos.x, pos.y), x: pos.x, y: pos.y };
+  }
+
+  // ------------------ Items ------------------
+
+  /**
+   * Add an item to the world
+   * @param {Object} appearance - Sprite settings kept for renderers (spriteKey, frame, scale)
+   */
+  spawnItem(gridX, gridY, appearance = {}) {
+    const item = { id: this.nextItemId++, gridX, gridY, isCarried: false, isJammed: false, appearance };
+    this.items.push(item);
+    return item;
+  }
+
+  /**
+   * Get the item lying at a position (carried items are not on the map)
+   */
+  getItemAt(gridX, gridY) {
+    return this.items.find(item =>
+      !item.isCarried && item.gridX === gridX && item.gridY === gridY
+    ) || null;
+  }
+
+  isCarryingItem() {
+    return this.carriedItem !== null;
+  }
+
+  /**
+   * Pick up the item in front of the robot
+   * @returns {{ok: boolean, item: Object|null, reason: string|null}} reason is 'already-carrying' or 'no-item'
+   */
+  pickup() {
+    const pos = this.getPositionInFront();
+    const item = this.getItemAt(pos.x, pos.y);
+
+    let result;
+    if (this.carriedItem) {
+      result = { ok: false, item: null, reason: 'already-carrying' };
+    } else if (!item) {
+      result = { ok: false, item: null, reason: 'no-item' };
+    } else {
+      item.isCarried = true;
+      this.carriedItem = item;
+      result = { ok: true, item, reason: null };
+    }
+
+    this.endAction();
+    return result;
+  }
+
+  /**
+   * Drop the carried item in front of the robot and judge where it landed
+   * @returns {{ok: boolean, item: Object|null, x: number, y: number, outcome: string|null, reason: string|null}}
+   *   outcome is 'win', 'lose' or 'continue'; reason is 'not-carrying'
+   */
+  drop() {
+    const pos = this.getPositionInFront();
+    if (!this.carriedItem) {
+      this.endAction();
+      return { ok: false, item: null, x: pos.x, y: pos.y, outcome: null, reason: 'not-carrying' };
+    }
+
+    // Items may be dropped anywhere; the outcome decides if that was right.
+    // It is judged before a belt carries the item away.
+    const item = this.carriedItem;
+    item.isCarried = false;
+    item.gridX = pos.x;
+    item.gridY = pos.y;
+    this.carriedItem = null;
+
+    const outcome = this.judgeDrop(pos.x, pos.y);
+    this.endAction(outcome);
+    return { ok: true, item, x: pos.x, y: pos.y, outcome, reason: null };
+  }
+
+  /**
+   * Win on a goal, carry on along conveyors and other item surfaces, lose anywhere else
+   * @returns {string} 'win', 'lose' or 'continue'
+   */
+  judgeDrop(gridX, gridY) {
+    if (this.isGoal(gridX, gridY)) return 'win';
+    if (!this.isItemSurface(gridX, gridY)) return 'lose';
+    return 'continue';
+  }
+
+  /**
+   * End a robot action: the belts carry their items one cell along, and the
+   * first drop or belt move that judges 'win' or 'lose' decides the level.
+   * Every action ends this way, failed ones included; callers that act
+   * outside the world's own methods (a route that cannot be found, say)
+   * call it themselves.
+   * @param {string} dropOutcome - How a drop made by the action was judged
+   * @returns {{moved: Array<Object>, jammed: Array<Object>, outcome: string|null}}
+   *   moved and jammed as from ConveyorSystem.tick(); outcome is 'win' or
+   *   'lose' when this action decided the level
+   */
+  endAction(dropOutcome = 'continue') {
+    const wasDecided = this.outcome !== null;
+    if (!wasDecided && dropOutcome !== 'continue') {
+      this.outcome = dropOutcome;
+    }
+
+    // A belt delivering an item to a goal wins; carrying it off the belt loses
+    const { moved, jammed } = this.conveyors.tick();
+    const decisive = moved.find(move => move.outcome !== 'continue');
+    if (decisive && this.outcome === null) {
+      this.outcome = decisive.outcome;
+    }
+
+    const result = { moved, jammed, outcome: wasDecided ? null : this.outcome };
+    if (this.onActionEnd) this.onActionEnd(result);
+    return result;
+  }
+
+  // ------------------ Sensors ------------------
+
+  /**
+   * Check if the robot cannot step forward (edge of the map or an obstacle)
+   */
+  isPathAheadBlocked() {
+    const pos = this.getPositionInFront();
+    return !this.checkMove(pos.x, pos.y).ok;
+  }
+
+  /**
+   * Check if an item lies on the cell in front of the robot
+   */
+  isItemInFront() {
+    const pos = this.getPositionInFront();
+    return this.getItemAt(pos.x, pos.y) !== null;
+  }
+
+  /**
+   * Check if a conveyor is on one of the four cells next to the robot
+   */
+  isNextToConveyor() {
+    return FORWARD_OFFSETS.some(offset =>
+      this.isConveyor(this.robot.gridX + offset.x, this.robot.gridY + offset.y)
+    );
+  }
+
+  // ------------------ State ------------------
+
+  getState() {
+    return {
+      direction: this.robot.direction,
+      gridX: this.robot.gridX,
+      gridY: this.robot.gridY,
+      isCarrying: this.isCarryingItem()
+    };
+  }
+
+  /**
+   * Capture the robot and item state as plain data
+   * @returns {{robot: Object, items: Array<Object>}}
+   */
+  snapshot() {
+    return {
+      robot: { ...this.robot },
+      items: this.items.map(item => ({
+        gridX: item.gridX,
+        gridY: item.gridY,
+        isCarried: item.isCarried,
+        isJammed: item.isJammed
+      }))
+    };
+  }
+
+  /**
+   * Restore a snapshot taken with snapshot()
+   */
+  restore(snapshot) {
+    this.placeRobot(snapshot.robot.gridX, snapshot.robot.gridY, snapshot.robot.direction);
+    this.carriedItem = null;
+
+    snapshot.items.forEach((state, index) => {
+      const item = this.items[index];
+      if (!item) return;
+      item.gridX = state.gridX;
+      item.gridY = state.gridY;
+      item.isCarried = state.isCarried;
+      item.isJammed = state.isJammed;
+      if (state.isCarried) this.carriedItem = item;
+    });
+  }
+}
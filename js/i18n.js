@@ -0,0 +1,133 @@
+/**
+ * I18n
+ * Translation catalogs for the interface, the blocks and the levels.
+ * The language is picked once per page load (saved choice, then the browser's
+ * language, then English); switching reloads the page so Blockly, the blocks
+ * and the scene are all built in the new language.
+ */
+
+class I18n {
+  constructor() {
+    // blocklyMessages is the file in blockly/msg/ with Blockly's own strings
+    this.locales = {
+      en: { name: 'English', blocklyMessages: 'en' },
+      es: { name: 'Español', blocklyMessages: 'es' },
+      pt: { name: 'Português', blocklyMessages: 'pt-br' }
+    };
+    this.defaultLocale = 'en';
+    this.storageKey = 'locale';
+    this.catalogs = {};
+    this.locale = this.detectLocale();
+    document.documentElement.lang = this.locale;
+  }
+
+  detectLocale() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      if (saved in this.locales) return saved;
+    } catch (e) {
+      // Storage may be disabled; fall back to the browser's language
+    }
+
+    const preferred = (navigator.languages || [navigator.language])
+      .map(language => String(language).slice(0, 2).toLowerCase())
+      .find(language => language in this.locales);
+    return preferred || this.defaultLocale;
+  }
+
+  /**
+   * Register the messages of a locale (see js/locales/)
+   * @param {Object<string, string>} messages - Keys to text with {placeholders}
+   */
+  addCatalog(locale, messages) {
+    this.catalogs[locale] = { ...this.catalogs[locale], ...messages };
+  }
+
+  /**
+   * Translate a key, falling back to English and then to the key itself
+   * @param {Object} params - Values for the {placeholders} in the text
+   */
+  t(key, params = {}) {
+    const catalog = this.catalogs[this.locale] || {};
+    const fallback = this.catalogs[this.defaultLocale] || {};
+    const text = key in catalog ? catalog[key] : (key in fallback ? fallback[key] : key);
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+  }
+
+  /**
+   * Pick the current locale's version of a translatable config field, e.g. a level's
+   * `instructions` with `translations: { es: { instructions: ... } }`
+   */
+  localize(config, field) {
+    const translation = config.translations && config.translations[this.locale];
+    return translation && field in translation ? translation[field] : config[field];
+  }
+
+  /**
+   * Translate the static page: data-i18n sets the text, and data-i18n-title,
+   * data-i18n-placeholder and data-i18n-aria-label set those attributes
+   */
+  translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = this.t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => {
+      el.title = this.t(el.dataset.i18nTitle);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+      el.placeholder = this.t(el.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+      el.setAttribute('aria-label', this.t(el.dataset.i18nAriaLabel));
+    });
+  }
+
+  /**
+   * Load Blockly's own strings (context menus, dialogs) for the current locale.
+   * They are only read when those menus open, so loading them after the
+   * workspace is injected is fine.
+   */
+  loadBlocklyMessages() {
+    const file = this.locales[this.locale].blocklyMessages;
+    if (file === this.locales[this.defaultLocale].blocklyMessages) return;
+
+    const script = document.createElement('script');
+    script.src = `blockly/msg/${file}.js`;
+    document.head.appendChild(script);
+  }
+
+  /**
+   * Fill every language menu (select.language-select) and switch on change
+   */
+  initSwitchers() {
+    document.querySelectorAll('select.language-select').forEach(select => {
+      select.innerHTML = '';
+      Object.entries(this.locales).forEach(([locale, { name }]) => {
+        select.appendChild(new Option(name, locale, false, locale === this.locale));
+      });
+      select.addEventListener('change', () => this.setLocale(select.value));
+    });
+  }
+
+  /**
+   * Remember a language and reload the page in it
+   */
+  setLocale(locale) {
+    if (!(locale in this.locales) || locale === this.locale) return;
+
+    try {
+      localStorage.setItem(this.storageKey, locale);
+    } catch (e) {
+      console.error('Error saving language:', e);
+    }
+
+    // Keep the program being edited across the reload
+    if (window.ProgramStorage) {
+      window.ProgramStorage.save();
+    }
+    window.location.reload();
+  }
+}
+
+// Initialize translations
+window.I18n = new I18n();
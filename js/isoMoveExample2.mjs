@@ -0,0 +1,910 @@
+// Use global Phaser that's loaded via script tag
+const { Game, Scene } = window.Phaser;
+
+// Import isometric handling classes
+import { IsometricTilemap, IsometricPlayer } from './iso_handler.mjs';
+import { GridWorld, DIRECTION_NAMES } from './grid_world.mjs';
+
+class IsoMoveExample extends Scene {
+  constructor() {
+    const sceneConfig = {
+      key: 'IsoMoveExample'
+    };
+
+    super(sceneConfig);
+    
+    // Grid properties (will be set from tilemap data)
+    this.gridWidth = null;
+    this.gridHeight = null;
+    
+    // Player reference (will be IsometricPlayer instance)
+    this.isoPlayer = null;
+    
+    // Camera zoom state
+    this.defaultZoom = 1;
+    this.followZoom = 1.5;
+    this.isZoomedIn = false;
+    this.isMoving = false; // Track if moves are being executed
+    this.playbackSpeed = 1; // Animation speed multiplier (Infinity skips animations)
+    
+    // Level configuration (will be loaded from LevelManager)
+    this.levelConfig = null;
+    
+    // 'win' or 'lose' from the world, shown once the deciding action is recorded
+    this.pendingOutcome = null;
+  }
+
+  preload() {
+    // Load level configuration from LevelManager
+    if (window.LevelManager) {
+      this.levelConfig = window.LevelManager.getCurrentLevel();
+    }
+    
+    // Fallback if LevelManager not available
+    if (!this.levelConfig) {
+      this.levelConfig = {
+        playerStart: { x: 2, y: 2, direction: 0 },
+        itemSpawns: [{ spriteKey: 'boxes', x: 0, y: 7, frame: 0, scale: 1.5 }],
+        goalConveyors: [{ x: 7, y: 0 }],
+        conveyorLayer: 'Tile Layer 2',
+        mapFile: 'lvl1_v1.json'
+      };
+    }
+    
+    // Load the tilemap and tileset
+    // The tileset is 16 columns, 1024x1024 image, with 64x32 tiles
+    this.load.spritesheet('tiles', 'assets/fixes_factory.png', {
+      frameWidth: 64,
+      frameHeight: 32  // Use 32 for both to match the grid in the tileset
+    });
+    
+    // Load the tilemap for the current level
+    const mapFile = this.levelConfig.mapFile || 'lvl1_v1.json';
+    console.log('Loading tilemap:', mapFile);
+    this.load.tilemapTiledJSON('warehouse', `assets/${mapFile}`);
+    
+    // Load robot sprite
+    this.load.spritesheet('robot', 'assets/Robot_TileSet.png', {
+      frameWidth: 24,
+      frameHeight: 16
+    });
+    
+    // Load boxes sprite
+    this.load.spritesheet('boxes', 'assets/box.png', {
+      frameWidth: 22,
+      frameHeight: 21
+    });
+    
+    // Add load events to debug
+    this.load.on('filecomplete-tilemapJSON-warehouse', () => {
+      console.log('Tilemap loaded successfully:', mapFile);
+    });
+    
+    this.load.on('filecomplete-spritesheet-robot', () => {
+      console.log('Robot spritesheet loaded successfully');
+    });
+    
+    this.load.on('loaderror', (file) => {
+      console.error('Error loading file:', file.src);
+      console.error('File type:', file.type);
+    });
+    
+    this.load.on('complete', () => {
+      console.log('All assets loaded successfully');
+    });
+  }
+
+  create() {
+    console.log('Scene create() called');
+
+    // Initialize the level
+    this.initLevel();
+    
+    // Set up click handler for zoom in/out
+    this.input.on('pointerdown', (pointer) => {
+      if (this.isMoving) return; // Disable zoom control during moves
+      
+      if (!this.isZoomedIn) {
+        // Zoom in to clicked location
+        const worldPoint = this.cameras.main.getWorldPoint(pointer.x, pointer.y);
+        this.cameras.main.stopFollow();
+        this.cameras.main.pan(worldPoint.x, worldPoint.y, 300, 'Power2');
+        this.cameras.main.zoomTo(this.followZoom, 300, 'Power2');
+        this.isZoomedIn = true;
+      } else {
+        // Zoom back out to default view
+        const centerPos = this.isoMap.gridToScreen(this.isoMap.mapWidth / 2, this.isoMap.mapHeight / 2);
+        this.cameras.main.pan(centerPos.x, centerPos.y, 300, 'Power2');
+        this.cameras.main.zoomTo(this.defaultZoom, 300, 'Power2');
+        this.isZoomedIn = false;
+      }
+    });
+    
+    // Store scene reference for API
+    this.registry.set('isoScene', this);
+    
+    // Signal API is ready
+    console.log('About to resolve ready promise, _readyResolve exists?', typeof _readyResolve !== 'undefined');
+    if (_readyResolve) {
+      console.log('Resolving ready promise!');
+      _readyResolve();
+    } else {
+      console.error('_readyResolve is not defined!');
+    }
+  }
+  
+  update() {
+    // Update loop - no keyboard input, controlled by API only
+  }
+  
+  /**
+   * Initialize the level with configured settings
+   */
+  initLevel() {
+    // Verify tilemap is loaded
+    if (!this.cache.tilemap.exists('warehouse')) {
+      console.error('Tilemap not found in cache! Cannot initialize level.');
+      return;
+    }
+    
+    const tilemapData = this.cache.tilemap.get('warehouse').data;
+    if (!tilemapData) {
+      console.error('Tilemap data is null! Cannot initialize level.');
+      return;
+    }
+    
+    console.log('Initializing level with tilemap:', tilemapData);
+    
+    // Game state and rules live in the headless world; Phaser only renders it
+    this.world = new GridWorld(tilemapData, this.levelConfig);
+    this.world.onActionEnd = result => this.showActionEnd(result);
+    this.pendingOutcome = null;
+    
+    // The toolbox offers "Go to" only once it knows the map's waypoints
+    if (window.ToolboxManager) {
+      window.ToolboxManager.refresh();
+    }
+    
+    // Create isometric tilemap renderer
+    this.isoMap = new IsometricTilemap(this, tilemapData, 'tiles', this.world);
+    this.isoMap.build();
+    
+    // Auto-detect grid dimensions from tilemap
+    this.gridWidth = this.isoMap.mapWidth;
+    this.gridHeight = this.isoMap.mapHeight;
+    console.log(`Grid dimensions: ${this.gridWidth}x${this.gridHeight}`);
+    
+    // Debug: Log all available layers
+    console.log('Available layers:', this.isoMap.getLayerNames());
+    
+    // Debug: Check conveyor layer tiles (the layer may come from the map's properties)
+    const conveyorLayer = this.world.levelConfig.conveyorLayer;
+    console.log(`Checking for conveyor belts on "${conveyorLayer}" layer...`);
+    for (let y = 0; y < this.isoMap.mapHeight; y++) {
+      for (let x = 0; x < this.isoMap.mapWidth; x++) {
+        if (this.isoMap.hasTileAt(x, y, conveyorLayer)) {
+          console.log(`Found conveyor tile at (${x}, ${y})`);
+        }
+      }
+    }
+    
+    // Create the player where the world started the robot (level config or the map's robot object)
+    const start = { ...this.world.robot };
+    this.isoPlayer = new IsometricPlayer(this, this.isoMap, 'robot', start.gridX, start.gridY, {
+      scale: 2,
+      zHeight: 8,
+      highlightTile: true,
+      highlightColor: 0x000080,
+      moveDuration: 300,      // Animation speed (ms) - lower = faster movement
+      moveDelay: 200,           // Delay between moves (ms) - higher = slower gameplay
+      depth: 10000,
+      frameOffset: 4,
+      startDirection: start.direction
+    });
+    
+    this.isoPlayer.setSpeed(this.playbackSpeed);
+    
+    console.log(`Player created at (${start.gridX}, ${start.gridY}), direction: ${start.direction}`);
+    console.log(`Player sprite frame: ${this.isoPlayer.sprite.frame.name}`);
+    
+    // Set up camera
+    this.isoMap.centerCamera(this.cameras.main, this.defaultZoom);
+    
+    // Create sprites for the items the world spawned from the level config
+    this.world.items.forEach(model => {
+      const spawn = model.appearance;
+      console.log(`Spawning ${spawn.spriteKey} at grid position (${model.gridX}, ${model.gridY})`);
+      
+      this.isoMap.addItemView(model, spawn.spriteKey, {
+        frame: spawn.frame,
+        scale: spawn.scale,
+        zHeight: 20,
+        visualOffsetX: 0,//35,
+        visualOffsetY: 0//-20
+      });
+    });
+    
+    // Every run's trace starts from the freshly initialized level
+    _resetTrace();
+  }
+  
+  /**
+   * Reset the level to initial state
+   */
+  resetLevel() {
+    // Reload level config from LevelManager in case it changed
+    if (window.LevelManager) {
+      this.levelConfig = window.LevelManager.getCurrentLevel();
+    }
+    
+    // Destroy existing entities
+    if (this.isoPlayer) {
+      this.isoPlayer.destroy();
+      this.isoPlayer = null;
+    }
+    if (this.isoMap) {
+      this.isoMap.destroy();
+      this.isoMap = null;
+    }
+    
+    // Reinitialize level
+    this.initLevel();
+  }
+  
+  /**
+   * Load a new level (requires scene restart for new tilemap)
+   */
+  loadNewLevel() {
+    // Reload level config from LevelManager
+    if (window.LevelManager) {
+      this.levelConfig = window.LevelManager.getCurrentLevel();
+      console.log('Loading new level:', this.levelConfig.title);
+    }
+    
+    // Keep the old level's program and bring back the new level's one
+    if (window.ProgramStorage) {
+      window.ProgramStorage.switchLevel(window.LevelManager.currentLevel);
+    }
+    
+    // Offer the blocks of the new level
+    if (window.ToolboxManager) {
+      window.ToolboxManager.applyLevel(this.levelConfig);
+    }
+    
+    // Clear the cached tilemap to force reload
+    if (this.cache.tilemap.exists('warehouse')) {
+      this.cache.tilemap.remove('warehouse');
+    }
+    
+    // Clear any existing map and player
+    if (this.isoPlayer) {
+      this.isoPlayer.destroy();
+      this.isoPlayer = null;
+    }
+    if (this.isoMap) {
+      this.isoMap.destroy();
+      this.isoMap = null;
+    }
+    
+    // Restart the scene to reload assets with new config
+    this.scene.restart();
+  }
+  
+  /**
+   * Capture the robot and item state for the execution trace
+   * @returns {{robot: Object, items: Array<Object>}} Plain data snapshot
+   */
+  captureSnapshot() {
+    return this.world.snapshot();
+  }
+  
+  /**
+   * Put the robot and items back into a recorded state (used by the timeline scrubber)
+   * @param {Object} snapshot - Snapshot from captureSnapshot()
+   */
+  restoreSnapshot(snapshot) {
+    const player = this.isoPlayer;
+    player.stopAction();
+    this.world.restore(snapshot);
+    
+    // Move the sprites to match the restored world
+    this.isoMap.items.forEach(item => {
+      if (item.isCarried) {
+        item.pickUp(player);
+      } else {
+        item.drop(item.gridX, item.gridY);
+      }
+    });
+    
+    player.placeAt(snapshot.robot.gridX, snapshot.robot.gridY, snapshot.robot.direction);
+  }
+  
+  /**
+   * Check if a position is a goal conveyor
+   */
+  isGoalConveyor(x, y) {
+    return this.world.isGoal(x, y);
+  }
+  
+  /**
+   * Check if a position is a conveyor belt
+   */
+  isConveyor(x, y) {
+    return this.world.isConveyor(x, y);
+  }
+  
+  /**
+   * Animate what the conveyor belts did at the end of a robot action
+   * @param {Object} result - GridWorld.endAction() result
+   */
+  showActionEnd({ moved, jammed, outcome }) {
+    moved.forEach(move => {
+      this.isoMap.getItemView(move.item).slideTo(move.x, move.y, this.isoPlayer.moveDuration);
+    });
+    jammed.forEach(item => {
+      this.showMessage(`⚠️ ${window.I18n.t('scene.jam', { x: item.gridX, y: item.gridY })}`);
+    });
+    if (outcome) {
+      this.pendingOutcome = outcome;
+    }
+  }
+  
+  /**
+   * Show the win or lose message and result modal once the world has decided the level
+   */
+  announceOutcome() {
+    const outcome = this.pendingOutcome;
+    if (!outcome) return;
+    this.pendingOutcome = null;
+    
+    const currentLevel = window.LevelManager ? window.LevelManager.currentLevel : 1;
+    const stats = _getRunStats(); // Timed at the deciding action, not when the modal opens
+    const won = outcome === 'win';
+    
+    if (won) {
+      this.showMessage(`🎉 ${window.I18n.t('scene.win')}`, 'success');
+    } else {
+      this.showMessage(`❌ ${window.I18n.t('scene.lose')}`, 'fail');
+    }
+    
+    // Show the result modal after a short delay
+    this.time.delayedCall(1000, () => {
+      if (window.showResultModal) {
+        window.showResultModal(won, currentLevel, stats);
+      }
+    });
+  }
+  
+  /**
+   * Show a message to the player
+   */
+  showMessage(text, type = 'info') {
+    // Remove existing message if any
+    if (this.messageText) {
+      this.messageText.destroy();
+    }
+    
+    // Create message text
+    const color = type === 'success' ? '#00ff00' : type === 'fail' ? '#ff0000' : '#ffffff';
+    this.messageText = this.add.text(400, 50, text, {
+      fontSize: '24px',
+      fontFamily: 'Arial',
+      color: color,
+      stroke: '#000000',
+      strokeThickness: 4,
+      align: 'center'
+    });
+    this.messageText.setOrigin(0.5);
+    this.messageText.setDepth(100000);
+    this.messageText.setScrollFactor(0); // Fixed to camera
+    
+    // Auto-remove after 3 seconds
+    this.time.delayedCall(3000, () => {
+      if (this.messageText) {
+        this.messageText.destroy();
+        this.messageText = null;
+      }
+    });
+  }
+}
+
+// ------------------ ACTION QUEUE + PUBLIC API ------------------
+let game = null; // Will be set after game is created
+const _queue = [];
+let _running = false;
+let _activeBlockId = null; // Blockly block that issued the actions being queued
+let _currentBlockId = null; // Blockly block whose action is executing right now
+const _trace = []; // Actions recorded since the level was last (re)initialized
+const _stats = { steps: 0, turns: 0, pickups: 0, drops: 0, blocks: 0, startTime: 0 }; // Counters of the current run
+let _abortController = new AbortController(); // Cancels every action queued since the last stop
+let _readyResolve;
+const _ready = new Promise(res => {
+  _readyResolve = res;
+});
+
+function _enqueue(label, fn) {
+  const signal = _abortController.signal;
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    _queue.push({ label, fn, resolve, reject, blockId: _activeBlockId, signal });
+    _drain();
+  });
+}
+
+async function _drain() {
+  if (_running) return;
+  _running = true;
+  
+  const scene = _getScene();
+  if (scene) {
+    scene.isMoving = true;
+  }
+  
+  while (_queue.length) {
+    const { label, fn, resolve, reject, blockId, signal } = _queue.shift();
+    if (signal.aborted) {
+      reject(signal.reason);
+      continue;
+    }
+    _currentBlockId = blockId;
+    try {
+      const v = await fn(signal);
+      resolve(v);
+    } catch (e) {
+      console.error(`[GameAPI] Action failed: ${label} (block ${blockId})`, e);
+      reject(e);
+    }
+    _currentBlockId = null;
+  }
+  
+  _running = false;
+  
+  if (scene) {
+    scene.isMoving = false;
+  }
+}
+
+/**
+ * Cancel every pending action and settle the one in flight.
+ * Pending promises reject with an AbortError; the player snaps to its grid cell.
+ */
+function _stop() {
+  _abortController.abort(new DOMException('Program stopped', 'AbortError'));
+  _abortController = new AbortController();
+
+  while (_queue.length) {
+    const { reject, signal } = _queue.shift();
+    reject(signal.reason);
+  }
+
+  const scene = _getScene();
+  if (scene && scene.isoPlayer) {
+    scene.isoPlayer.stopAction();
+  }
+}
+
+// ------------------ EXECUTION TRACE ------------------
+/**
+ * Record a finished action with the block that caused it and a world snapshot
+ * @param {string} type - start, rotate, face, move, blocked, pickup, drop, wait
+ * @param {string} label - Human-readable description for the timeline
+ * @param {boolean} ok - False when the action failed
+ */
+function _record(type, label, ok = true) {
+  const scene = _getScene();
+  if (!scene || !scene.isoPlayer || !scene.isoMap) return;
+  
+  _trace.push({
+    index: _trace.length,
+    type,
+    label,
+    ok,
+    blockId: _currentBlockId,
+    snapshot: scene.captureSnapshot()
+  });
+  
+  if (window.TraceTimeline) {
+    window.TraceTimeline.refresh();
+  }
+  
+  // A win or loss is announced with the action that decided it in the trace
+  scene.announceOutcome();
+}
+
+/**
+ * Tell the learner why an action failed: a message in the scene and a
+ * warning on the block that issued the action
+ */
+function _reportFailure(scene, message) {
+  scene.showMessage(`⚠️ ${message}`, 'fail');
+  if (window.ProgramDebugger) {
+    window.ProgramDebugger.markError(_currentBlockId, message);
+  }
+}
+
+// Direction value in the player's language
+function _directionName(direction) {
+  return window.I18n.t(`direction.${DIRECTION_NAMES[direction].toLowerCase()}`);
+}
+
+function _resetTrace() {
+  _trace.length = 0;
+  _record('start', window.I18n.t('trace.start'));
+  _resetStats();
+}
+
+// ------------------ RUN STATISTICS ------------------
+function _resetStats() {
+  Object.assign(_stats, { steps: 0, turns: 0, pickups: 0, drops: 0, blocks: 0, startTime: Date.now() });
+}
+
+/**
+ * Statistics of the current run, timed up to now
+ * @returns {{steps: number, turns: number, pickups: number, drops: number, blocks: number, timeMs: number}}
+ */
+function _getRunStats() {
+  const { startTime, ...counts } = _stats;
+  return { ...counts, timeMs: Date.now() - startTime };
+}
+
+// Helper to get scene
+function _getScene() {
+  if (!game) return null;
+  return game.scene.getScene('IsoMoveExample');
+}
+
+// ------------------ API Implementation ------------------
+
+async function _rotate(delta) {
+  const scene = _getScene();
+  if (!scene || !scene.isoPlayer) return false;
+  const ok = await scene.isoPlayer.rotate(delta);
+  if (ok) {
+    _stats.turns++;
+    _record('rotate', window.I18n.t('trace.turn', { direction: _directionName(scene.isoPlayer.direction) }));
+  }
+  return ok;
+}
+
+function _face(dirName) {
+  return new Promise((resolve) => {
+    const scene = _getScene();
+    if (!scene || !scene.isoPlayer) return resolve(false);
+    const heading = scene.world.robot.direction;
+    const result = scene.isoPlayer.face(dirName);
+    if (result) {
+      // Facing the way the robot already faces is not a turn
+      if (scene.world.robot.direction !== heading) _stats.turns++;
+      _record('face', window.I18n.t('trace.face', { direction: _directionName(scene.isoPlayer.direction) }));
+    }
+    scene.time.delayedCall(scene.isoPlayer.rotateDelay, () => resolve(result));
+  });
+}
+
+/**
+ * Pause the program; the wait runs at the current animation speed and the
+ * conveyor belts advance once for every whole second of it
+ */
+async function _wait(seconds, signal) {
+  const scene = _getScene();
+  if (!scene) return false;
+  
+  const ticks = Math.floor(seconds);
+  for (let i = 0; i < ticks; i++) {
+    if (!await _delay(scene, 1, signal)) return false;
+    scene.world.endAction();
+  }
+  if (!await _delay(scene, seconds - ticks, signal)) return false;
+  
+  _record('wait', window.I18n.t('trace.wait', { seconds }));
+  return true;
+}
+
+/**
+ * Resolve with true after some seconds at the current animation speed, or
+ * with false as soon as the program is stopped
+ */
+function _delay(scene, seconds, signal) {
+  return new Promise((resolve) => {
+    if (signal.aborted) return resolve(false);
+    
+    const onAbort = () => {
+      timer.remove(false);
+      resolve(false);
+    };
+    const timer = scene.time.delayedCall(seconds * 1000 / scene.playbackSpeed, () => {
+      signal.removeEventListener('abort', onAbort);
+      resolve(true);
+    });
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function _getForwardPosition(scene) {
+  return scene.world.getPositionInFront();
+}
+
+function _getBackwardPosition(scene) {
+  return scene.world.getPositionBehind();
+}
+
+function _isValidPosition(scene, x, y) {
+  return scene.world.isInBounds(x, y);
+}
+
+function _moveToPosition(scene, gridX, gridY) {
+  if (!scene.isoPlayer) return Promise.resolve(false);
+  return scene.isoPlayer.moveTo(gridX, gridY);
+}
+
+async function _multiStep(sign, steps, signal) {
+  const scene = _getScene();
+  if (!scene || !scene.isoPlayer) return false;
+  
+  for (let i = 0; i < steps; i++) {
+    if (signal && signal.aborted) return false;
+
+    const newPos = sign > 0 ? _getForwardPosition(scene) : _getBackwardPosition(scene);
+    const ok = await _moveToPosition(scene, newPos.x, newPos.y);
+    if (signal && signal.aborted) return false;
+    _recordMove(scene, ok, newPos.x, newPos.y);
+    if (!ok) return false; // stop early if blocked
+  }
+  return true;
+}
+
+function _recordMove(scene, ok, x, y) {
+  if (ok) {
+    _stats.steps++;
+    _record('move', window.I18n.t('trace.move', { x, y }));
+    return;
+  }
+  
+  _record('blocked', window.I18n.t('trace.blocked', { x, y }), false);
+  const { reason } = scene.world.checkMove(x, y);
+  _reportFailure(scene, window.I18n.t(reason === 'out-of-bounds' ? 'error.move_off_map' : 'error.move_blocked', { x, y }));
+}
+
+// Message keys for the reasons Pathfinder gives when there is no route
+const _routeErrors = {
+  'out-of-bounds': 'error.route_off_map',
+  obstacle: 'error.route_blocked',
+  unreachable: 'error.route_unreachable'
+};
+
+/**
+ * Walk to a grid position along the route the map's pathfinder finds,
+ * turning to face each cell before stepping onto it
+ */
+async function _setPosition(tx, ty, signal) {
+  const scene = _getScene();
+  if (!scene || !scene.isoPlayer) return false;
+  
+  const { gridX, gridY, direction } = scene.world.robot;
+  const route = scene.isoMap.findPath(gridX, gridY, tx, ty, direction);
+  if (!route.ok) {
+    scene.world.endAction();
+    _record('blocked', window.I18n.t('trace.no_route', { x: tx, y: ty }), false);
+    _reportFailure(scene, window.I18n.t(_routeErrors[route.reason], { x: tx, y: ty }));
+    await scene.isoPlayer.shake();
+    return false;
+  }
+  
+  for (const cell of route.path) {
+    const towards = scene.world.getDirectionTo(cell.x, cell.y);
+    for (let turn = scene.world.getTurnTowards(towards); turn !== 0; turn = scene.world.getTurnTowards(towards)) {
+      if (signal.aborted || !await _rotate(turn)) return false;
+    }
+    if (signal.aborted) return false;
+    
+    const ok = await _moveToPosition(scene, cell.x, cell.y);
+    if (signal.aborted) return false;
+    _recordMove(scene, ok, cell.x, cell.y);
+    if (!ok) return false;
+  }
+  return true;
+}
+
+/**
+ * Walk to one of the level's named waypoints
+ */
+async function _goToWaypoint(name, signal) {
+  const scene = _getScene();
+  if (!scene || !scene.isoPlayer) return false;
+  
+  const waypoint = scene.world.getWaypoint(name);
+  if (!waypoint) {
+    scene.world.endAction();
+    _record('blocked', window.I18n.t('trace.no_waypoint', { name }), false);
+    _reportFailure(scene, window.I18n.t('error.unknown_waypoint', { name }));
+    await scene.isoPlayer.shake();
+    return false;
+  }
+  return _setPosition(waypoint.x, waypoint.y, signal);
+}
+
+// Expose the API
+window.GameAPI = {
+  /** await GameAPI.ready() before issuing actions */
+  ready: () => _ready,
+
+  /** Movement & rotation (Promise-based) */
+  rotateLeft: () => _enqueue('rotateLeft', async () => _rotate(-1)),  // Turn counterclockwise
+  rotateRight: () => _enqueue('rotateRight', async () => _rotate(+1)), // Turn clockwise
+  moveForward: (steps = 1) => _enqueue('moveForward', async (signal) => _multiStep(+1, steps, signal)),
+  moveBackward: (steps = 1) => _enqueue('moveBackward', async (signal) => _multiStep(-1, steps, signal)),
+
+  /** Item interaction */
+  spawnItem: (spriteKey, gridX, gridY, config = {}) => {
+    const scene = _getScene();
+    if (!scene || !scene.isoMap) return null;
+    return scene.isoMap.spawnItem(spriteKey, gridX, gridY, config);
+  },
+  
+  pickupItem: () => _enqueue('pickupItem', async () => {
+    const scene = _getScene();
+    if (!scene || !scene.isoPlayer) return false;
+    const alreadyCarrying = scene.isoPlayer.isCarryingItem();
+    const pos = scene.isoPlayer.getPositionInFront();
+    const result = scene.isoPlayer.pickupItem();
+    if (result) _stats.pickups++;
+    _record('pickup', window.I18n.t(result ? 'trace.pickup' : 'trace.pickup_failed'), result);
+    
+    if (!result) {
+      _reportFailure(scene, alreadyCarrying
+        ? window.I18n.t('error.pickup_already_carrying')
+        : window.I18n.t('error.pickup_no_box', { x: pos.x, y: pos.y }));
+      await scene.isoPlayer.shake();
+    }
+    return result;
+  }),
+  
+  dropItem: () => _enqueue('dropItem', async () => {
+    const scene = _getScene();
+    if (!scene || !scene.isoPlayer) return false;
+    
+    // Get the position where item will be dropped
+    const pos = scene.isoPlayer.getPositionInFront();
+    const result = scene.isoPlayer.dropItem();
+    if (result) _stats.drops++;
+    _record('drop', result ? window.I18n.t('trace.drop', { x: pos.x, y: pos.y }) : window.I18n.t('trace.drop_failed'), result);
+    
+    if (!result) {
+      _reportFailure(scene, window.I18n.t('error.drop_not_carrying'));
+      await scene.isoPlayer.shake();
+    }
+    
+    return result;
+  }),
+  
+  isCarryingItem: () => {
+    const scene = _getScene();
+    if (!scene || !scene.isoPlayer) return false;
+    return scene.isoPlayer.isCarryingItem();
+  },
+
+  /** Sensors for conditions (read-only, answered immediately) */
+  isPathBlocked: () => {
+    const scene = _getScene();
+    if (!scene || !scene.isoPlayer) return false;
+    return scene.isoPlayer.isPathBlocked();
+  },
+
+  isItemInFront: () => {
+    const scene = _getScene();
+    if (!scene || !scene.isoPlayer) return false;
+    return scene.isoPlayer.hasItemInFront();
+  },
+
+  isNextToConveyor: () => {
+    const scene = _getScene();
+    if (!scene || !scene.isoPlayer) return false;
+    return scene.isoPlayer.isNextToConveyor();
+  },
+
+  /** Utilities */
+  face: (dirName) => _enqueue('face', async () => _face(dirName)),
+  wait: (seconds = 1) => _enqueue('wait', async (signal) => _wait(seconds, signal)),
+  setPosition: (tx, ty) => _enqueue('setPosition', async (signal) => _setPosition(tx, ty, signal)),
+  goToWaypoint: (name) => _enqueue('goToWaypoint', async (signal) => _goToWaypoint(name, signal)),
+  
+  /** Cancellation: abort the current program and flush the action queue */
+  stop: () => _stop(),
+
+  /** Signal that aborts when the program started now is stopped */
+  getSignal: () => _abortController.signal,
+
+  /** Animation speed: 1 is normal, higher is faster, Infinity skips animations */
+  setSpeed: (speed) => {
+    const scene = _getScene();
+    if (!scene) return;
+    scene.playbackSpeed = speed;
+    if (scene.isoPlayer) {
+      scene.isoPlayer.setSpeed(speed);
+    }
+  },
+
+  getSpeed: () => {
+    const scene = _getScene();
+    return scene ? scene.playbackSpeed : 1;
+  },
+
+  /** Execution trace: every action of the current run with a world snapshot */
+  getTrace: () => [..._trace],
+
+  /** Show the world as it was at a recorded trace frame */
+  showTraceFrame: (index) => {
+    const scene = _getScene();
+    const frame = _trace[index];
+    if (!scene || !scene.isoPlayer || !frame) return null;
+    scene.restoreSnapshot(frame.snapshot);
+    return frame;
+  },
+
+  /** Run statistics: steps, turns, pickups, drops, blocks and elapsed time since the level was reset */
+  getRunStats: () => _getRunStats(),
+
+  /** Number of blocks in the program being run, reported by the editor */
+  setProgramBlockCount: (count) => {
+    _stats.blocks = count;
+  },
+
+  /** Show a message over the simulation */
+  showMessage: (text, type = 'info') => {
+    const scene = _getScene();
+    if (!scene) return;
+    scene.showMessage(text, type);
+  },
+
+  /** Level management (both stop any running program first) */
+  resetLevel: () => {
+    const scene = _getScene();
+    if (!scene) return;
+    _stop();
+    scene.resetLevel();
+  },
+  
+  loadNewLevel: () => {
+    const scene = _getScene();
+    if (!scene) return;
+    _stop();
+    _trace.length = 0;
+    scene.loadNewLevel();
+  },
+
+  /** Debugging: tag queued actions with the Blockly block that issued them */
+  setActiveBlock: (blockId) => {
+    _activeBlockId = blockId;
+  },
+
+  getActiveBlock: () => _activeBlockId,
+
+  /** Read-only state (no promises needed) */
+  getState: () => {
+    const scene = _getScene();
+    if (!scene || !scene.isoPlayer) return null;
+    return scene.isoPlayer.getState();
+  },
+
+  /** Names of the current level's waypoints, for the "Go to" block */
+  getWaypoints: () => {
+    const scene = _getScene();
+    if (!scene || !scene.world) return [];
+    return (scene.world.levelConfig.waypoints || []).map(waypoint => waypoint.name);
+  }
+};
+
+// Create the game after API is defined
+let config = {
+  type: window.Phaser.AUTO,
+  width: 800,
+  height: 600,
+  pixelArt: true,
+  parent: 'game-canvas',
+  scene: IsoMoveExample,
+  physics: {
+    default: 'arcade'
+  }
+};
+
+game = new window.Phaser.Game(config);
\ No newline at end of file
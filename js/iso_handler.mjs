@@ -1,10 +1,15 @@
+import { GridWorld } from './grid_world.mjs';
+import { Pathfinder } from './pathfinder.mjs';
+
 /**
  * IsometricTilemap - Custom isometric tilemap renderer for Phaser
- * Handles conversion between grid and screen coordinates, tile rendering, and depth sorting
+ * Handles conversion between grid and screen coordinates, tile rendering, and depth sorting.
+ * Game rules and state live in the GridWorld it renders.
  */
 export class IsometricTilemap {
-  constructor(scene, mapData, tilesetTexture) {
+  constructor(scene, mapData, tilesetTexture, world = new GridWorld(mapData)) {
     this.scene = scene;
+    this.world = world;
     this.mapData = mapData;
     this.tilesetTexture = tilesetTexture;
     this.tileWidth = mapData.tilewidth;
@@ -17,7 +22,8 @@ export class IsometricTilemap {
     this.allSprites = [];
     this.layers = {}; // Store all layers by name
     this.layerSprites = {}; // Store sprites organized by layer name
-    this.items = []; // Track all spawned items
+    this.items = []; // IsometricItem views of the world's items
+    this.pathfinder = new Pathfinder(world);
   }
   
   /**
@@ -66,7 +72,7 @@ export class IsometricTilemap {
     
     // Create sprites for each layer
     sortedLayers.forEach((layer, layerIndex) => {
-      if (layer.type !== 'tilelayer') return; // Only process tile layers
+      if (layer.type !== 'tilelayer') return; // Object layers are read by the GridWorld
       
       this.layers[layer.name] = layer;
       this.layerSprites[layer.name] = [];
@@ -238,6 +244,19 @@ export class IsometricTilemap {
     return this.getTileAt(gridX, gridY, layerName) !== null;
   }
   
+  /**
+   * Find a walkable route between two grid positions
+   * @param {number} fromX - Start grid X position
+   * @param {number} fromY - Start grid Y position
+   * @param {number} toX - Target grid X position
+   * @param {number} toY - Target grid Y position
+   * @param {number|null} direction - Direction faced at the start, so routes with fewer turns win
+   * @returns {{ok: boolean, path: Array<{x: number, y: number}>, reason: string|null}} See Pathfinder.findPath()
+   */
+  findPath(fromX, fromY, toX, toY, direction = null) {
+    return this.pathfinder.findPath(fromX, fromY, toX, toY, direction);
+  }
+  
   /**
    * Center the camera on the map
    * @param {Phaser.Cameras.Scene2D.Camera} camera - The camera to center
@@ -258,11 +277,32 @@ export class IsometricTilemap {
    * @returns {IsometricItem} The created item
    */
   spawnItem(spriteKey, gridX, gridY, config = {}) {
-    const item = new IsometricItem(this.scene, this, spriteKey, gridX, gridY, config);
+    const model = this.world.spawnItem(gridX, gridY, { spriteKey, ...config });
+    return this.addItemView(model, spriteKey, config);
+  }
+  
+  /**
+   * Create the sprite for an item that already exists in the world
+   * @param {Object} model - Item from GridWorld.items
+   * @param {string} spriteKey - The sprite key for the item
+   * @param {Object} config - Configuration options
+   * @returns {IsometricItem} The created item
+   */
+  addItemView(model, spriteKey, config = {}) {
+    const item = new IsometricItem(this.scene, this, spriteKey, model, config);
     this.items.push(item);
     return item;
   }
   
+  /**
+   * Get the view rendering a world item
+   * @param {Object} model - Item from GridWorld.items
+   * @returns {IsometricItem|null} The item view or null
+   */
+  getItemView(model) {
+    return this.items.find(item => item.model === model) || null;
+  }
+  
   /**
    * Remove an item from the tilemap
    * @param {IsometricItem} item - The item to remove
@@ -272,6 +312,10 @@ export class IsometricTilemap {
     if (index > -1) {
       this.items.splice(index, 1);
     }
+    const modelIndex = this.world.items.indexOf(item.model);
+    if (modelIndex > -1) {
+      this.world.items.splice(modelIndex, 1);
+    }
   }
   
   /**
@@ -281,9 +325,7 @@ export class IsometricTilemap {
    * @returns {IsometricItem|null} The item at that position or null
    */
   getItemAt(gridX, gridY) {
-    return this.items.find(item => 
-      !item.isCarried && item.gridX === gridX && item.gridY === gridY
-    ) || null;
+    return this.getItemView(this.world.getItemAt(gridX, gridY));
   }
   
   /**
@@ -301,14 +343,14 @@ export class IsometricTilemap {
 
 /**
  * IsometricPlayer - Helper class for managing a player sprite in isometric space
+ * Position, direction and cargo are read from the tilemap's GridWorld robot.
  */
 export class IsometricPlayer {
   constructor(scene, isoMap, spriteKey, gridX, gridY, config = {}) {
     this.scene = scene;
     this.isoMap = isoMap;
-    this.gridX = gridX;
-    this.gridY = gridY;
-    this.direction = config.startDirection || 0; // 0=South, 1=East, 2=West, 3=North
+    this.world = isoMap.world;
+    this.world.placeRobot(gridX, gridY, config.startDirection || 0); // 0=South, 1=East, 2=West, 3=North
     this.isMoving = false;
     this.frameOffset = config.frameOffset || 0; // Offset to select different rows in sprite sheet
     
@@ -325,9 +367,15 @@ export class IsometricPlayer {
     this.shouldHighlight = config.highlightTile || false;
     
     this.zHeight = config.zHeight || 8;
-    this.moveDuration = config.moveDuration || 300;
-    this.moveDelay = config.moveDelay || 0; // Delay between moves in milliseconds
-    this.carriedItem = null; // Track item being carried
+    // Timings at normal speed; setSpeed() derives the effective values below
+    this.baseMoveDuration = config.moveDuration || 300;
+    this.baseMoveDelay = config.moveDelay || 0; // Delay between moves in milliseconds
+    this.baseRotateDelay = config.rotateDelay || 100;
+    this.speed = 1;
+    this.moveDuration = this.baseMoveDuration;
+    this.moveDelay = this.baseMoveDelay;
+    this.rotateDelay = this.baseRotateDelay;
+    this.pendingAction = null; // In-flight tween/timer and its promise resolver
     
     // Apply initial highlight after a small delay to ensure tilemap is ready
     if (this.shouldHighlight) {
@@ -337,6 +385,25 @@ export class IsometricPlayer {
     }
   }
   
+  get gridX() {
+    return this.world.robot.gridX;
+  }
+  
+  get gridY() {
+    return this.world.robot.gridY;
+  }
+  
+  get direction() {
+    return this.world.robot.direction;
+  }
+  
+  /**
+   * The IsometricItem being carried, or null
+   */
+  get carriedItem() {
+    return this.isoMap.getItemView(this.world.carriedItem);
+  }
+  
   /**
    * Highlight the current tile the player is on
    * @param {number} color - Hex color for the highlight (uses stored color if not provided)
@@ -395,21 +462,12 @@ export class IsometricPlayer {
    * @returns {Promise<boolean>}
    */
   async rotate(delta) {
-    // Rotation mapping for sprite frames: 0=South, 1=East, 2=West, 3=North
-    if (delta < 0) { // Turn left (counterclockwise)
-      const leftSequence = [0, 1, 3, 2]; // South -> East -> North -> West
-      const currentIndex = leftSequence.indexOf(this.direction);
-      this.direction = leftSequence[(currentIndex + 1) % 4];
-    } else { // Turn right (clockwise)
-      const rightSequence = [0, 2, 3, 1]; // South -> West -> North -> East
-      const currentIndex = rightSequence.indexOf(this.direction);
-      this.direction = rightSequence[(currentIndex + 1) % 4];
-    }
-    
+    this.world.rotate(delta);
     this.updateFrame();
     
     return new Promise(resolve => {
-      this.scene.time.delayedCall(100, () => resolve(true));
+      const timer = this.scene.time.delayedCall(this.rotateDelay, () => this.finishAction(true));
+      this.pendingAction = { resolve, timer, tweens: [], speed: this.speed };
     });
   }
   
@@ -421,85 +479,175 @@ export class IsometricPlayer {
    */
   async moveTo(gridX, gridY) {
     if (this.isMoving) return false;
-    if (gridX < 0 || gridX >= this.isoMap.mapWidth || gridY < 0 || gridY >= this.isoMap.mapHeight) {
-      return false;
-    }
     
-    // Check if there's a blocking tile on upper layers (any layer except floor)
-    const layerNames = this.isoMap.getLayerNames();
-    for (let layerName of layerNames) {
-      // Skip floor layer (assume first layer is always floor)
-      if (this.isoMap.layers[layerName] === this.isoMap.mapData.layers[0]) continue;
-      
-      if (this.isoMap.hasTileAt(gridX, gridY, layerName)) {
-        return false; // Blocked by a prop/obstacle
-      }
+    // Off the map or blocked by a prop/obstacle; the world still counts the try
+    if (!this.world.checkMove(gridX, gridY).ok) {
+      this.world.moveRobotTo(gridX, gridY);
+      return this.bump(gridX, gridY);
     }
     
     this.isMoving = true;
     
     const screenPos = this.isoMap.gridToScreen(gridX, gridY, this.zHeight);
     
-    // If carrying an item, tween it alongside the player
-    if (this.carriedItem) {
-      const itemScreenPos = this.isoMap.gridToScreen(
-        gridX, 
-        gridY, 
-        this.zHeight + this.carriedItem.carriedZOffset
-      );
-      
-      this.scene.tweens.add({
-        targets: this.carriedItem.sprite,
-        x: itemScreenPos.x,
-        y: itemScreenPos.y,
-        duration: this.moveDuration,
-        ease: 'Power2'
-      });
-    }
-    
     return new Promise(resolve => {
-      this.scene.tweens.add({
+      const action = { resolve, timer: null, tweens: [], speed: this.speed };
+      this.pendingAction = action;
+      
+      // If carrying an item, tween it alongside the player
+      if (this.carriedItem) {
+        const itemScreenPos = this.isoMap.gridToScreen(
+          gridX, 
+          gridY, 
+          this.zHeight + this.carriedItem.carriedZOffset
+        );
+        
+        action.tweens.push(this.scene.tweens.add({
+          targets: this.carriedItem.sprite,
+          x: itemScreenPos.x,
+          y: itemScreenPos.y,
+          duration: this.moveDuration,
+          ease: 'Power2'
+        }));
+      }
+      
+      action.tweens.push(this.scene.tweens.add({
         targets: this.sprite,
         x: screenPos.x,
         y: screenPos.y,
         duration: this.moveDuration,
         ease: 'Power2',
         onComplete: () => {
-          this.gridX = gridX;
-          this.gridY = gridY;
+          this.world.moveRobotTo(gridX, gridY);
           this.highlightCurrentTile();
           
           // Apply delay before allowing next move
           if (this.moveDelay > 0) {
-            this.scene.time.delayedCall(this.moveDelay, () => {
-              this.isMoving = false;
-              resolve(true);
-            });
+            action.speed = this.speed; // The delay is timed at the current speed
+            action.timer = this.scene.time.delayedCall(this.moveDelay, () => this.finishAction(true));
           } else {
-            this.isMoving = false;
-            resolve(true);
+            this.finishAction(true);
           }
         }
-      });
+      }));
     });
   }
   
+  /**
+   * Lean towards a cell the player could not enter, then spring back
+   * @param {number} gridX - Grid X of the blocked cell
+   * @param {number} gridY - Grid Y of the blocked cell
+   * @returns {Promise<boolean>} Always false, the move failed
+   */
+  async bump(gridX, gridY) {
+    if (this.moveDuration === 0) return false;
+    
+    // Lean a quarter of a tile towards the blocked neighbour
+    const from = this.isoMap.gridToScreen(this.gridX, this.gridY, this.zHeight);
+    const to = this.isoMap.gridToScreen(
+      this.gridX + Math.sign(gridX - this.gridX),
+      this.gridY + Math.sign(gridY - this.gridY),
+      this.zHeight
+    );
+    const targets = this.carriedItem ? [this.sprite, this.carriedItem.sprite] : [this.sprite];
+    
+    this.isMoving = true;
+    return new Promise(resolve => {
+      const action = { resolve, timer: null, tweens: [], speed: this.speed };
+      this.pendingAction = action;
+      
+      action.tweens.push(this.scene.tweens.add({
+        targets,
+        x: `+=${(to.x - from.x) / 4}`,
+        y: `+=${(to.y - from.y) / 4}`,
+        duration: this.moveDuration / 3,
+        ease: 'Quad.easeOut',
+        yoyo: true,
+        onComplete: () => this.finishAction(false)
+      }));
+    });
+  }
+  
+  /**
+   * Shake the player sideways, e.g. when there is nothing to pick up
+   * @returns {Promise<boolean>} Always false, the action failed
+   */
+  async shake() {
+    if (this.moveDuration === 0) return false;
+    
+    this.isMoving = true;
+    return new Promise(resolve => {
+      const action = { resolve, timer: null, tweens: [], speed: this.speed };
+      this.pendingAction = action;
+      
+      action.tweens.push(this.scene.tweens.add({
+        targets: this.sprite,
+        x: '+=4',
+        duration: this.moveDuration / 6,
+        ease: 'Sine.easeInOut',
+        yoyo: true,
+        repeat: 2,
+        onComplete: () => this.finishAction(false)
+      }));
+    });
+  }
+  
+  /**
+   * Change the animation speed, including the move or rotation in flight
+   * @param {number} speed - Multiplier on normal speed; Infinity skips animations
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+    this.moveDuration = this.baseMoveDuration / speed;
+    this.moveDelay = this.baseMoveDelay / speed;
+    this.rotateDelay = this.baseRotateDelay / speed;
+    
+    // Rescale what is already running relative to the speed it started with
+    const action = this.pendingAction;
+    if (action) {
+      const timeScale = Number.isFinite(speed) ? speed / action.speed : 1000;
+      action.tweens.forEach(tween => { tween.timeScale = timeScale; });
+      if (action.timer) action.timer.timeScale = timeScale;
+    }
+  }
+  
+  /**
+   * Resolve the in-flight move or rotation
+   * @param {boolean} result - Value the action's promise resolves with
+   */
+  finishAction(result) {
+    const action = this.pendingAction;
+    this.pendingAction = null;
+    this.isMoving = false;
+    if (action) action.resolve(result);
+  }
+  
+  /**
+   * Stop the in-flight move or rotation immediately.
+   * Tweens are halted and the sprite snaps back to the last grid cell it reached.
+   */
+  stopAction() {
+    const action = this.pendingAction;
+    if (!action) return;
+    
+    action.tweens.forEach(tween => tween.stop());
+    if (action.timer) action.timer.remove(false);
+    
+    const screenPos = this.isoMap.gridToScreen(this.gridX, this.gridY, this.zHeight);
+    this.sprite.setPosition(screenPos.x, screenPos.y);
+    this.updateCarriedItemPosition();
+    this.highlightCurrentTile();
+    
+    this.finishAction(false);
+  }
+  
   /**
    * Move forward based on current direction
    * @returns {Promise<boolean>}
    */
   async moveForward() {
-    let newX = this.gridX;
-    let newY = this.gridY;
-    
-    switch (this.direction) {
-      case 0: newY += 1; break; // South
-      case 1: newX += 1; break; // East
-      case 2: newX -= 1; break; // West
-      case 3: newY -= 1; break; // North
-    }
-    
-    return this.moveTo(newX, newY);
+    const pos = this.world.getPositionInFront();
+    return this.moveTo(pos.x, pos.y);
   }
   
   /**
@@ -507,17 +655,24 @@ export class IsometricPlayer {
    * @returns {Promise<boolean>}
    */
   async moveBackward() {
-    let newX = this.gridX;
-    let newY = this.gridY;
-    
-    switch (this.direction) {
-      case 0: newY -= 1; break; // South (go North)
-      case 1: newX -= 1; break; // East (go West)
-      case 2: newX += 1; break; // West (go East)
-      case 3: newY += 1; break; // North (go South)
-    }
+    const pos = this.world.getPositionBehind();
+    return this.moveTo(pos.x, pos.y);
+  }
+  
+  /**
+   * Place the player on a grid cell instantly, without animating
+   * @param {number} gridX - Grid X position
+   * @param {number} gridY - Grid Y position
+   * @param {number} direction - 0=South, 1=East, 2=West, 3=North
+   */
+  placeAt(gridX, gridY, direction) {
+    this.world.placeRobot(gridX, gridY, direction);
+    this.updateFrame();
     
-    return this.moveTo(newX, newY);
+    const screenPos = this.isoMap.gridToScreen(gridX, gridY, this.zHeight);
+    this.sprite.setPosition(screenPos.x, screenPos.y);
+    this.updateCarriedItemPosition();
+    this.highlightCurrentTile();
   }
   
   /**
@@ -526,29 +681,18 @@ export class IsometricPlayer {
    * @returns {boolean}
    */
   face(dirName) {
-    const dirMap = { 
-      south: 0, down: 0,
-      east: 1, right: 1,
-      west: 2, left: 2,
-      north: 3, up: 3
-    };
-    
-    if (!(dirName in dirMap)) return false;
-    
-    this.direction = dirMap[dirName];
+    if (!this.world.face(dirName)) return false;
     this.updateFrame();
     return true;
   }
   
   /**
    * Get current player state
-   * @returns {{direction: number, gridX: number, gridY: number, isMoving: boolean}}
+   * @returns {{direction: number, gridX: number, gridY: number, isMoving: boolean, isCarrying: boolean}}
    */
   getState() {
     return {
-      direction: this.direction,
-      gridX: this.gridX,
-      gridY: this.gridY,
+      ...this.world.getState(),
       isMoving: this.isMoving
     };
   }
@@ -562,17 +706,7 @@ export class IsometricPlayer {
    * @returns {{x: number, y: number}} Grid coordinates in front of player
    */
   getPositionInFront() {
-    let x = this.gridX;
-    let y = this.gridY;
-    
-    switch (this.direction) {
-      case 0: y += 1; break; // South: (2,2) -> (2,3)
-      case 1: x += 1; break; // East: (2,2) -> (3,2)
-      case 2: x -= 1; break; // West: (2,2) -> (1,2)
-      case 3: y -= 1; break; // North: (2,2) -> (2,1)
-    }
-    
-    return { x, y };
+    return this.world.getPositionInFront();
   }
   
   /**
@@ -621,33 +755,48 @@ export class IsometricPlayer {
     return this.isoMap.getAllTilesAt(this.gridX, this.gridY);
   }
   
+  /**
+   * Check if the player cannot step forward (edge of the map or an obstacle)
+   * @returns {boolean} True if the path ahead is blocked
+   */
+  isPathBlocked() {
+    return this.world.isPathAheadBlocked();
+  }
+  
+  /**
+   * Check if there's an item on the tile in front of the player
+   * @returns {boolean} True if an item can be picked up
+   */
+  hasItemInFront() {
+    return this.world.isItemInFront();
+  }
+  
+  /**
+   * Check if a conveyor belt is on a tile next to the player
+   * @returns {boolean} True if standing next to a conveyor
+   */
+  isNextToConveyor() {
+    return this.world.isNextToConveyor();
+  }
+  
   /**
    * Pick up an item in front of the player
    * @returns {boolean} True if item was picked up
    */
   pickupItem() {
-    if (this.carriedItem) {
-      console.log('Already carrying an item');
-      return false;
-    }
-    
     const pos = this.getPositionInFront();
-    const directionNames = ['South (Y+1)', 'East (X+1)', 'West (X-1)', 'North (Y-1)'];
-    console.log(`Player at (${this.gridX}, ${this.gridY}), direction: ${this.direction} (${directionNames[this.direction]})`);
-    console.log(`Looking for item at (${pos.x}, ${pos.y})`);
-    
-    const item = this.isoMap.getItemAt(pos.x, pos.y);
+    const result = this.world.pickup();
     
-    if (item) {
-      console.log(`Found item at (${pos.x}, ${pos.y}), picking up!`);
-      item.pickUp(this);
-      this.carriedItem = item;
-      return true;
+    if (!result.ok) {
+      console.log(result.reason === 'already-carrying'
+        ? 'Already carrying an item'
+        : `No item found at (${pos.x}, ${pos.y})`);
+      return false;
     }
     
-    console.log(`No item found at (${pos.x}, ${pos.y})`);
-    console.log('All items in map:', this.isoMap.items.map(i => `(${i.gridX}, ${i.gridY}) carried:${i.isCarried}`));
-    return false;
+    console.log(`Found item at (${pos.x}, ${pos.y}), picking up!`);
+    this.isoMap.getItemView(result.item).pickUp(this);
+    return true;
   }
   
   /**
@@ -655,17 +804,21 @@ export class IsometricPlayer {
    * @returns {boolean} True if item was dropped
    */
   dropItem() {
-    if (!this.carriedItem) {
+    // Show the item where it lands before a belt carries it on
+    if (this.world.carriedItem) {
+      const pos = this.getPositionInFront();
+      this.isoMap.getItemView(this.world.carriedItem).drop(pos.x, pos.y);
+    }
+    
+    const result = this.world.drop();
+    
+    if (!result.ok) {
       console.log('Not carrying any item to drop');
       return false;
     }
     
-    const pos = this.getPositionInFront();
-    console.log(`Dropping item at (${pos.x}, ${pos.y})`);
-    
-    // Drop the item (allow dropping anywhere, game logic will handle win/lose)
-    this.carriedItem.drop(pos.x, pos.y);
-    this.carriedItem = null;
+    // The world allows dropping anywhere and judges win/lose
+    console.log(`Dropping item at (${result.x}, ${result.y})`);
     return true;
   }
   
@@ -674,7 +827,7 @@ export class IsometricPlayer {
    * @returns {boolean} True if carrying an item
    */
   isCarryingItem() {
-    return this.carriedItem !== null;
+    return this.world.isCarryingItem();
   }
   
   /**
@@ -690,6 +843,7 @@ export class IsometricPlayer {
    * Destroy the player sprite
    */
   destroy() {
+    this.stopAction();
     if (this.highlightGraphic) {
       this.highlightGraphic.destroy();
       this.highlightGraphic = null;
@@ -699,16 +853,15 @@ export class IsometricPlayer {
 }
 
 /**
- * IsometricItem - Class for managing items that can be placed on tiles and carried
+ * IsometricItem - Sprite for an item of the GridWorld, on a tile or carried
  */
 export class IsometricItem {
-  constructor(scene, isoMap, spriteKey, gridX, gridY, config = {}) {
+  constructor(scene, isoMap, spriteKey, model, config = {}) {
     this.scene = scene;
     this.isoMap = isoMap;
-    this.gridX = gridX;
-    this.gridY = gridY;
-    this.isCarried = false;
+    this.model = model; // Item from GridWorld.items
     this.carrier = null; // Reference to the player carrying this item
+    this.slideTween = null; // Conveyor movement in flight
     
     // Item height offset (items sit on top of conveyor belts)
     this.zHeight = config.zHeight || 20;
@@ -719,7 +872,7 @@ export class IsometricItem {
     this.visualOffsetY = config.visualOffsetY || -8; // Default: push up a bit
     
     // Create the sprite
-    const screenPos = isoMap.gridToScreen(gridX, gridY, this.zHeight);
+    const screenPos = isoMap.gridToScreen(model.gridX, model.gridY, this.zHeight);
     this.sprite = scene.add.sprite(
       screenPos.x + this.visualOffsetX, 
       screenPos.y + this.visualOffsetY, 
@@ -730,27 +883,37 @@ export class IsometricItem {
     this.sprite.setDepth(config.depth || 15000);
   }
   
+  get gridX() {
+    return this.model.gridX;
+  }
+  
+  get gridY() {
+    return this.model.gridY;
+  }
+  
+  get isCarried() {
+    return this.model.isCarried;
+  }
+  
   /**
-   * Pick up this item
-   * @param {IsometricPlayer} player - The player picking up the item
+   * Show this item carried by the player
+   * @param {IsometricPlayer} player - The player carrying the item
    */
   pickUp(player) {
-    this.isCarried = true;
+    this.stopSlide();
     this.carrier = player;
     this.updatePosition();
     this.sprite.setDepth(20000); // Higher depth when carried
   }
   
   /**
-   * Drop this item at a grid position
+   * Show this item lying at a grid position
    * @param {number} gridX - Grid X position
    * @param {number} gridY - Grid Y position
    */
   drop(gridX, gridY) {
-    this.isCarried = false;
+    this.stopSlide();
     this.carrier = null;
-    this.gridX = gridX;
-    this.gridY = gridY;
     
     const screenPos = this.isoMap.gridToScreen(gridX, gridY, this.zHeight);
     this.sprite.setPosition(
@@ -760,6 +923,45 @@ export class IsometricItem {
     this.sprite.setDepth(15000); // Normal depth when on conveyor
   }
   
+  /**
+   * Slide this item along a conveyor belt to a grid position
+   * @param {number} gridX - Grid X position
+   * @param {number} gridY - Grid Y position
+   * @param {number} duration - Tween length in ms; 0 moves the sprite at once
+   */
+  slideTo(gridX, gridY, duration) {
+    this.stopSlide();
+    
+    const screenPos = this.isoMap.gridToScreen(gridX, gridY, this.zHeight);
+    const x = screenPos.x + this.visualOffsetX;
+    const y = screenPos.y + this.visualOffsetY;
+    if (duration <= 0) {
+      this.sprite.setPosition(x, y);
+      return;
+    }
+    
+    this.slideTween = this.scene.tweens.add({
+      targets: this.sprite,
+      x,
+      y,
+      duration,
+      ease: 'Linear',
+      onComplete: () => {
+        this.slideTween = null;
+      }
+    });
+  }
+  
+  /**
+   * Stop a conveyor slide where it is
+   */
+  stopSlide() {
+    if (this.slideTween) {
+      this.slideTween.stop();
+      this.slideTween = null;
+    }
+  }
+  
   /**
    * Update item position (called when carrier moves)
    */
@@ -779,6 +981,7 @@ export class IsometricItem {
    * Destroy the item sprite
    */
   destroy() {
+    this.stopSlide();
     this.sprite.destroy();
   }
 }
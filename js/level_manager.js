@@ -1,6 +1,7 @@
 /**
  * Level Manager
- * Handles level progression, state management, and level configuration
+ * Handles level progression and state management. The level configurations
+ * themselves are in levels.js.
  */
 
 class LevelManager {
@@ -9,45 +10,7 @@ class LevelManager {
     const progress = this.getProgress();
     this.currentLevel = progress.currentLevel || 1;
     this.maxLevels = 8;
-    this.levelData = this.initializeLevelData();
-  }
-
-  /**
-   * Initialize level configurations
-   */
-  initializeLevelData() {
-    return {
-      1: {
-        title: "Level 1: Getting Started",
-        instructions: "Welcome to your first challenge! Move the box from the starting conveyor belt to the goal position. Use the blocks on the right to program the robot's movements.",
-        mapFile: "lvl1_v2.json",
-        playerStart: { x: 1, y: 6, direction: 0 },
-        itemSpawns: [
-          { spriteKey: 'boxes', x: 0, y: 7, frame: 0, scale: 1.5 }
-        ],
-        goalConveyors: [{ x: 7, y: 0 }],
-        conveyorLayer: 'Tile Layer 2'
-      },
-      2: {
-        title: "Level 2: Move Two",
-        instructions: "In this level, you will be tasked to move each box from on conveyour belt to the conveyour belt right across from it.",
-        mapFile: "lvl2.json", // Placeholder
-        playerStart: { x: 1, y: 4, direction: 0 },
-        itemSpawns: [
-            { spriteKey: 'boxes', x: 0, y: 7, frame: 0, scale: 1.5 },
-            { spriteKey: 'boxes', x: 0, y: 5, frame: 0, scale: 1.5 }
-        ],
-        goalConveyors: [{ x: 7, y: 7 },{ x: 7, y: 5 } ],
-        conveyorLayer: 'Tile Layer 2'
-      },
-      // Levels 3-8 can be added here
-      3: { title: "Level 3: Coming Soon", instructions: "To be implemented..." },
-      4: { title: "Level 4: Coming Soon", instructions: "To be implemented..." },
-      5: { title: "Level 5: Coming Soon", instructions: "To be implemented..." },
-      6: { title: "Level 6: Coming Soon", instructions: "To be implemented..." },
-      7: { title: "Level 7: Coming Soon", instructions: "To be implemented..." },
-      8: { title: "Level 8: Coming Soon", instructions: "To be implemented..." }
-    };
+    this.levelData = window.Levels;
   }
 
   /**
@@ -88,6 +51,20 @@ class LevelManager {
     return false;
   }
 
+  /**
+   * Check if a level may be played: level 1, completed levels and the level
+   * after the highest completed one are open, the rest are locked
+   */
+  isUnlocked(levelNumber) {
+    const progress = this.getProgress();
+    const highestCompleted = progress.completed.length > 0 
+      ? Math.max(...progress.completed) 
+      : 0;
+    return levelNumber === 1 || 
+      progress.completed.includes(levelNumber) || 
+      levelNumber <= highestCompleted + 1;
+  }
+
   /**
    * Mark level as completed
    */
@@ -100,6 +77,37 @@ class LevelManager {
     }
   }
 
+  /**
+   * Get the best run statistics recorded for a level
+   * @returns {Object|null} Lowest value of each statistic over won runs, or null before the first win
+   */
+  getBestStats(levelNumber) {
+    const progress = this.getProgress();
+    return (progress.bestStats && progress.bestStats[levelNumber]) || null;
+  }
+
+  /**
+   * Keep the lowest value of each statistic of a won run
+   * @param {Object} stats - Statistics from GameAPI.getRunStats()
+   * @returns {Object|null} The best statistics before this run
+   */
+  recordBestStats(levelNumber, stats) {
+    const progress = this.getProgress();
+    progress.bestStats = progress.bestStats || {};
+    const previousBest = progress.bestStats[levelNumber] || null;
+
+    const best = { ...stats };
+    if (previousBest) {
+      Object.keys(best).forEach(key => {
+        if (key in previousBest) best[key] = Math.min(best[key], previousBest[key]);
+      });
+    }
+
+    progress.bestStats[levelNumber] = best;
+    this.saveProgressData(progress);
+    return previousBest;
+  }
+
   /**
    * Get progress data
    */
@@ -137,9 +145,6 @@ class LevelManager {
    */
   updateProgressUI() {
     const progress = this.getProgress();
-    const highestCompleted = progress.completed.length > 0 
-      ? Math.max(...progress.completed) 
-      : 0;
     
     console.log('Updating UI - Current:', this.currentLevel, 'Completed:', progress.completed);
     
@@ -153,7 +158,7 @@ class LevelManager {
           circle.classList.add('active');
         } else if (progress.completed.includes(i)) {
           circle.classList.add('completed');
-        } else if (i > highestCompleted + 1) {
+        } else if (!this.isUnlocked(i)) {
           // Lock levels beyond the next available level
           circle.classList.add('locked');
         }
@@ -166,10 +171,10 @@ class LevelManager {
     const textEl = document.querySelector('.instructions-text');
     
     if (titleEl && level) {
-      titleEl.innerHTML = `<i class="fas fa-info-circle"></i> ${level.title}`;
+      titleEl.innerHTML = `<i class="fas fa-info-circle"></i> ${window.I18n.localize(level, 'title')}`;
     }
     if (textEl && level) {
-      textEl.textContent = level.instructions;
+      textEl.textContent = window.I18n.localize(level, 'instructions');
     }
   }
 }
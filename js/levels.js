@@ -0,0 +1,85 @@
+/**
+ * Levels
+ * Configuration of every level. The browser loads this as a plain script
+ * before level_manager.js; Node can require() it, so tests and headless
+ * simulations use the same levels as the game (see grid_world.mjs).
+ */
+
+/**
+ * Placeholder text for levels that are not built yet
+ */
+function comingSoon(levelNumber) {
+  return {
+    title: `Level ${levelNumber}: Coming Soon`,
+    instructions: "To be implemented...",
+    translations: {
+      es: { title: `Nivel ${levelNumber}: Próximamente`, instructions: "En preparación..." },
+      pt: { title: `Nível ${levelNumber}: Em breve`, instructions: "Em preparação..." }
+    }
+  };
+}
+
+const LEVELS = {
+  1: {
+    title: "Level 1: Getting Started",
+    instructions: "Welcome to your first challenge! Move the box from the starting conveyor belt to the goal position. Use the blocks on the right to program the robot's movements.",
+    translations: {
+      es: {
+        title: "Nivel 1: Primeros pasos",
+        instructions: "¡Bienvenido a tu primer desafío! Lleva la caja desde la cinta transportadora inicial hasta la posición de destino. Usa los bloques de la derecha para programar los movimientos del robot."
+      },
+      pt: {
+        title: "Nível 1: Primeiros passos",
+        instructions: "Bem-vindo ao seu primeiro desafio! Leve a caixa da esteira inicial até a posição de destino. Use os blocos à direita para programar os movimentos do robô."
+      }
+    },
+    // The robot, the box, the goal and the conveyor layer are drawn in the map
+    mapFile: "lvl1_v2.json",
+    // No loops yet: only the basic movement and cargo blocks
+    toolbox: {
+      blocks: ['move_forward', 'rotate_left', 'rotate_right', 'pick_object', 'release_object'],
+      maxBlocks: 20
+    }
+  },
+  2: {
+    title: "Level 2: Move Two",
+    instructions: "In this level, you will be tasked to move each box from on conveyour belt to the conveyour belt right across from it.",
+    translations: {
+      es: {
+        title: "Nivel 2: Mueve dos",
+        instructions: "En este nivel debes llevar cada caja desde su cinta transportadora hasta la cinta que está justo enfrente."
+      },
+      pt: {
+        title: "Nível 2: Mova duas",
+        instructions: "Neste nível, você deve levar cada caixa da sua esteira até a esteira logo à frente dela."
+      }
+    },
+    mapFile: "lvl2.json", // Placeholder
+    playerStart: { x: 1, y: 4, direction: 0 },
+    itemSpawns: [
+        { spriteKey: 'boxes', x: 0, y: 7, frame: 0, scale: 1.5 },
+        { spriteKey: 'boxes', x: 0, y: 5, frame: 0, scale: 1.5 }
+    ],
+    goalConveyors: [{ x: 7, y: 7 },{ x: 7, y: 5 } ],
+    conveyorLayer: 'Tile Layer 2',
+    toolbox: {
+      limits: { controls_repeat: 2 }
+    }
+  },
+  // Levels 3-8 can be added here
+  3: {
+    ...comingSoon(3),
+    toolbox: { excludedBlocks: ['rotate_left'] }
+  },
+  4: comingSoon(4),
+  5: comingSoon(5),
+  6: comingSoon(6),
+  7: comingSoon(7),
+  8: comingSoon(8)
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LEVELS };
+} else {
+  window.Levels = LEVELS;
+}
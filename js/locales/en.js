@@ -0,0 +1,222 @@
+/**
+ * English messages. This is the default catalog: keys missing from the other
+ * locales fall back to it.
+ */
+
+window.I18n.addCatalog('en', {
+  // Consent screen
+  'consent.info_title': 'Research Study Information',
+  'consent.purpose_label': 'Study Purpose:',
+  'consent.purpose': 'This experiment is designed to evaluate educational programming tools and their effectiveness in teaching computational thinking skills.',
+  'consent.tasks_label': "What You'll Do:",
+  'consent.tasks': 'You will complete a series of programming challenges using visual block-based coding to control a robot in an isometric environment.',
+  'consent.data_label': 'Data Collection:',
+  'consent.data': 'We will collect interaction data, completion times, and solution approaches. All data is anonymous and identified only by a randomly generated ID.',
+  'consent.time_label': 'Time Commitment:',
+  'consent.time': 'The study typically takes 20-30 minutes to complete.',
+  'consent.agreement': 'I confirm that I am 18 years of age or older, I have read and understood the information above, and I voluntarily consent to participate in this research study.',
+  'consent.start': 'Get Started with Experiment',
+  'consent.footer': 'Louisiana State University • Educational Research Study',
+
+  // Panels and controls
+  'instructions.title': 'Level 1 Instructions',
+  'instructions.text': "Welcome to your first challenge! Move the box from the starting conveyor belt to the goal position. Use the blocks on the right to program the robot's movements.",
+  'panel.simulation': 'Simulation Viewer',
+  'panel.simulation_hint': 'Interactive Preview',
+  'panel.programming': 'Visual Programming',
+  'panel.programming_hint': 'Drag & Drop Blocks',
+  'action.run': 'Run Code',
+  'action.reset': 'Reset Level',
+  'action.clear': 'Clear Workspace',
+  'action.clear_confirm': 'Are you sure you want to clear the workspace?',
+  'level.locked': 'Complete the previous levels first to unlock this level!',
+  'orphans.hint': 'Blocks that are not attached to "When program starts" do not run',
+  'orphans.label': 'disconnected',
+  'speed.label': 'Speed',
+  'speed.slow': 'Slow motion',
+  'speed.skip': 'Skip animations',
+
+  // Debugger and trace
+  'debugger.step': 'Step',
+  'debugger.step_hint': 'Run one block at a time',
+  'debugger.pause': 'Pause',
+  'debugger.pause_hint': 'Pause before the next block',
+  'debugger.resume': 'Resume',
+  'debugger.resume_hint': 'Continue running',
+  'debugger.run_to_end': 'Run to End',
+  'debugger.run_to_end_hint': 'Run the rest of the program without pausing',
+  'debugger.stop': 'Stop',
+  'debugger.stop_hint': 'Stop the program and cancel pending moves',
+  'debugger.add_breakpoint': 'Add Breakpoint',
+  'debugger.remove_breakpoint': 'Remove Breakpoint',
+  'debugger.stopped_at_breakpoint': 'Stopped at breakpoint',
+  'debugger.paused': 'Paused',
+  'debugger.position': 'Position: ({x}, {y})',
+  'debugger.facing': 'Facing: {direction}',
+  'debugger.carrying_box': 'Carrying: a box',
+  'debugger.carrying_nothing': 'Carrying: nothing',
+  'trace.previous': 'Previous action',
+  'trace.replay': 'Replay the run',
+  'trace.next': 'Next action',
+  'trace.empty': 'Run your program to record a trace',
+  'trace.start': 'Start',
+  'trace.turn': 'Turn to {direction}',
+  'trace.face': 'Face {direction}',
+  'trace.wait': 'Wait {seconds}s',
+  'trace.move': 'Move to ({x}, {y})',
+  'trace.blocked': 'Blocked at ({x}, {y})',
+  'trace.no_route': 'No route to ({x}, {y})',
+  'trace.no_waypoint': 'No waypoint "{name}"',
+  'trace.pickup': 'Pick up box',
+  'trace.pickup_failed': 'Nothing to pick up',
+  'trace.drop': 'Drop box at ({x}, {y})',
+  'trace.drop_failed': 'Nothing to drop',
+  'direction.north': 'north',
+  'direction.east': 'east',
+  'direction.south': 'south',
+  'direction.west': 'west',
+
+  // Robot errors and results
+  'error.move_off_map': "Can't move to ({x}, {y}): it is off the map.",
+  'error.move_blocked': "Can't move to ({x}, {y}): something is in the way.",
+  'error.route_off_map': "Can't go to ({x}, {y}): it is off the map.",
+  'error.route_blocked': "Can't go to ({x}, {y}): something is in the way there.",
+  'error.route_unreachable': "Can't go to ({x}, {y}): there is no way to get there.",
+  'error.unknown_waypoint': 'Can\'t go to "{name}": this level has no waypoint with that name.',
+  'error.pickup_already_carrying': "Can't pick up: the robot is already carrying a box.",
+  'error.pickup_no_box': "Can't pick up: there is no box at ({x}, {y}).",
+  'error.drop_not_carrying': "Can't drop: the robot is not carrying a box.",
+  'sandbox.unresponsive': 'Your program stopped responding and was ended.',
+  'sandbox.start_failed': 'The program could not be started.',
+  'sandbox.call_not_allowed': 'GameAPI.{name} is not available to programs.',
+  'sandbox.instruction_budget': 'Your program ran more than {limit} blocks and was stopped.',
+  'sandbox.loop_limit': 'A loop repeated more than {limit} times. It may never end.',
+  'sandbox.condition_loop_limit': 'A "repeat while/until" loop ran more than {limit} times. Its condition may never change.',
+  'scene.win': 'Congratulations! You successfully delivered the box!',
+  'scene.lose': 'Game Over! You dropped the box in the wrong place.',
+  'scene.jam': 'The conveyor is jammed at ({x}, {y}).',
+  'result.win_title': 'Level Complete!',
+  'result.win_default': 'Great job! You successfully completed the level.',
+  'result.win_message': 'Congratulations! You successfully completed the level and delivered the box to the goal.',
+  'result.lose_title': 'Level Failed',
+  'result.lose_message': 'The box was dropped in the wrong location. Try again!',
+  'result.steps': 'Steps',
+  'result.turns': 'Turns',
+  'result.pickups': 'Pickups',
+  'result.drops': 'Drops',
+  'result.blocks': 'Blocks',
+  'result.time': 'Time',
+  'result.level': 'Level',
+  'result.new_best': 'New best!',
+  'result.best': 'Best: {value}',
+  'result.next_level': 'Next Level',
+  'result.all_complete': 'All Levels Complete!',
+  'result.try_again': 'Try Again',
+  'result.start_over': 'Start Over',
+
+  // Blocks and toolbox
+  'block.custom_start': 'When program starts:',
+  'block.move_to_position': 'Move robot to %1',
+  'block.pick_object': 'Pick up object',
+  'block.release_object': 'Release object',
+  'block.move_forward': 'Move forward %1 steps',
+  'block.move_backward': 'Move backward %1 steps',
+  'block.face_direction': 'Face %1',
+  'block.go_to_waypoint': 'Go to %1',
+  'block.wait_seconds': 'Wait %1 seconds',
+  'block.rotate_left': 'Turn counter-clockwise',
+  'block.rotate_right': 'Turn clockwise',
+  'block.controls_repeat': 'Repeat %1 times',
+  'block.controls_whileUntil': 'Repeat %1 %2',
+  'block.while': 'while',
+  'block.until': 'until',
+  'block.if': 'If %1',
+  'block.do': 'do %1',
+  'block.else': 'else %1',
+  'block.procedure_define': 'Define routine %1',
+  'block.procedure_define_param': 'with number n %1',
+  'block.procedure_default_name': 'routine',
+  'block.procedure_call': 'Run routine %1',
+  'block.procedure_call_arg': 'with n = %1',
+  'block.no_routines': '(no routines)',
+  'block.no_waypoints': '(no waypoints)',
+  'block.logic_negate': 'not %1',
+  'block.sensor_path_blocked': 'path ahead is blocked',
+  'block.sensor_box_in_front': 'box in front',
+  'block.sensor_next_to_conveyor': 'standing next to a conveyor',
+  'block.sensor_carrying_box': 'carrying a box',
+  'toolbox.blocks': 'Blocks',
+  'toolbox.conditions': 'Conditions',
+  'toolbox.routines': 'Routines',
+  'toolbox.remaining': '{count} left',
+  'toolbox.not_available': 'This level does not offer this block.',
+  'toolbox.limit_exceeded': 'This level allows only {limit} of these blocks.',
+  'toolbox.budget_exceeded': 'Your program has more than the {limit} blocks this level allows.',
+
+  // Text editor, code panel, files and links
+  'text_editor.button': 'Text',
+  'text_editor.hint': 'Show the program as text',
+  'text_editor.label': 'Program text',
+  'text_editor.error': 'Line {line}: {message}',
+  'language.expected': 'Expected {what} but found {found}.',
+  'language.end_of_line': 'the end of the line',
+  'language.command': 'a command',
+  'language.routine_name': 'a routine name',
+  'language.waypoint_name': 'a waypoint name',
+  'language.steps': 'the number of steps',
+  'language.seconds': 'the number of seconds',
+  'language.times': 'a number of times, "while" or "until"',
+  'language.turn': '"left" or "right"',
+  'language.direction': 'north, east, south or west',
+  'language.condition': 'a condition (blocked, box_ahead, near_conveyor or carrying)',
+  'language.number_range': '{what} must be from {min} to {max}.',
+  'language.number_min': '{what} must be at least {min}.',
+  'language.whole_number_range': '{what} must be a whole number from {min} to {max}.',
+  'language.whole_number_min': '{what} must be a whole number of at least {min}.',
+  'language.unexpected': 'Unexpected {found}; put each command on its own line.',
+  'language.missing_brace': 'Missing "}" for the "{owner}" on line {line}.',
+  'language.nested_define': 'Routines can only be defined outside other commands.',
+  'language.n_outside_routine': '"n" can only be used inside a routine defined "with n".',
+  'language.unknown_command': 'Unknown command "{command}".',
+  'language.unknown_routine': 'There is no routine called "{name}".',
+  'language.unavailable': 'This level does not offer the blocks for this command.',
+  'language.textless': '"{block}" has no text form. Remove it from the blocks to edit the program as text.',
+  'language.no_start_block': 'Start block not found in workspace.',
+  'code.button': 'Show code',
+  'code.hint': 'Show the program in Python, Lua or Dart',
+  'code.copy': 'Copy',
+  'code.copy_hint': 'Copy the code',
+  'code.copied': 'Copied',
+  'code.press_copy': 'Press Ctrl+C',
+  'code.error': 'Could not generate {language} code: {message}',
+  'file.download': 'Download program',
+  'file.open': 'Open program',
+  'file.open_failed': 'Could not open the program: {message}',
+  'file.other_level': 'This program was saved on level {level}; it may not fit level {currentLevel}.',
+  'file.no_program': 'This file does not contain a program.',
+  'file.not_program': 'This file is not a saved program.',
+  'link.button': 'Copy a link to this program',
+  'link.copied': 'A link to your program was copied to the clipboard.',
+  'link.copy_prompt': 'Copy this link to your program:',
+  'link.confirm_replace': 'Replace your program for this level with the one in the link?',
+  'link.damaged': 'The program in this link is damaged and could not be opened.',
+  'link.failed': 'The program in this link could not be opened.',
+  'link.level_locked': 'This link opens level {level}, which is still locked. Complete the levels before it first.',
+
+  // AI assistant
+  'chat.title': 'Mike AI Assistant',
+  'chat.clear': 'Clear chat',
+  'chat.minimize': 'Minimize',
+  'chat.maximize': 'Maximize',
+  'chat.placeholder': 'Ask me anything about the maze...',
+  'chat.welcome': "👋 Hi! I'm Mike, your AI assistant. I can help you navigate the maze and create block sequences.",
+  'chat.examples': 'Try asking me:',
+  'chat.example_move': '"How do I move forward 3 steps?"',
+  'chat.example_path': '"What\'s the best path to reach the goal?"',
+  'chat.example_execute': '"Execute: move forward 2, turn clockwise"',
+  'chat.created': "I've created {count} block(s) for you! Check your workspace.",
+  'chat.unknown': "I couldn't turn these into blocks: {commands}.",
+  'chat.unavailable': "This level doesn't offer the blocks for: {commands}.",
+  'chat.no_blocks': 'I understand, but I couldn\'t generate any blocks from that. Try asking me to create specific movements like "move forward 3 steps" or "turn clockwise".',
+  'chat.error': 'Sorry, I encountered an error. Make sure the server is running on localhost:3000.'
+});
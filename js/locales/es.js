@@ -0,0 +1,221 @@
+/**
+ * Spanish messages
+ */
+
+window.I18n.addCatalog('es', {
+  // Consent screen
+  'consent.info_title': 'Información del estudio',
+  'consent.purpose_label': 'Propósito del estudio:',
+  'consent.purpose': 'Este experimento evalúa herramientas educativas de programación y su eficacia para enseñar habilidades de pensamiento computacional.',
+  'consent.tasks_label': 'Qué harás:',
+  'consent.tasks': 'Completarás una serie de desafíos de programación con bloques visuales para controlar un robot en un entorno isométrico.',
+  'consent.data_label': 'Recopilación de datos:',
+  'consent.data': 'Recopilaremos datos de interacción, tiempos de finalización y estrategias de solución. Todos los datos son anónimos y se identifican solo con un ID generado al azar.',
+  'consent.time_label': 'Duración:',
+  'consent.time': 'El estudio suele durar entre 20 y 30 minutos.',
+  'consent.agreement': 'Confirmo que tengo 18 años o más, que he leído y comprendido la información anterior y que acepto voluntariamente participar en este estudio.',
+  'consent.start': 'Comenzar el experimento',
+  'consent.footer': 'Louisiana State University • Estudio de investigación educativa',
+
+  // Panels and controls
+  'instructions.title': 'Instrucciones del nivel 1',
+  'instructions.text': '¡Bienvenido a tu primer desafío! Lleva la caja desde la cinta transportadora inicial hasta la posición de destino. Usa los bloques de la derecha para programar los movimientos del robot.',
+  'panel.simulation': 'Simulación',
+  'panel.simulation_hint': 'Vista interactiva',
+  'panel.programming': 'Programación visual',
+  'panel.programming_hint': 'Arrastra y suelta bloques',
+  'action.run': 'Ejecutar',
+  'action.reset': 'Reiniciar nivel',
+  'action.clear': 'Limpiar área de trabajo',
+  'action.clear_confirm': '¿Seguro que quieres limpiar el área de trabajo?',
+  'level.locked': '¡Completa primero los niveles anteriores para desbloquear este nivel!',
+  'orphans.hint': 'Los bloques que no están unidos a "Cuando el programa empiece" no se ejecutan',
+  'orphans.label': 'desconectados',
+  'speed.label': 'Velocidad',
+  'speed.slow': 'Cámara lenta',
+  'speed.skip': 'Sin animaciones',
+
+  // Debugger and trace
+  'debugger.step': 'Paso',
+  'debugger.step_hint': 'Ejecutar un bloque cada vez',
+  'debugger.pause': 'Pausar',
+  'debugger.pause_hint': 'Pausar antes del siguiente bloque',
+  'debugger.resume': 'Continuar',
+  'debugger.resume_hint': 'Seguir ejecutando',
+  'debugger.run_to_end': 'Ejecutar hasta el final',
+  'debugger.run_to_end_hint': 'Ejecutar el resto del programa sin pausas',
+  'debugger.stop': 'Detener',
+  'debugger.stop_hint': 'Detener el programa y cancelar los movimientos pendientes',
+  'debugger.add_breakpoint': 'Añadir punto de interrupción',
+  'debugger.remove_breakpoint': 'Quitar punto de interrupción',
+  'debugger.stopped_at_breakpoint': 'Detenido en un punto de interrupción',
+  'debugger.paused': 'En pausa',
+  'debugger.position': 'Posición: ({x}, {y})',
+  'debugger.facing': 'Mirando al: {direction}',
+  'debugger.carrying_box': 'Lleva: una caja',
+  'debugger.carrying_nothing': 'Lleva: nada',
+  'trace.previous': 'Acción anterior',
+  'trace.replay': 'Repetir la ejecución',
+  'trace.next': 'Acción siguiente',
+  'trace.empty': 'Ejecuta tu programa para grabar un recorrido',
+  'trace.start': 'Inicio',
+  'trace.turn': 'Girar hacia el {direction}',
+  'trace.face': 'Mirar al {direction}',
+  'trace.wait': 'Esperar {seconds} s',
+  'trace.move': 'Moverse a ({x}, {y})',
+  'trace.blocked': 'Bloqueado en ({x}, {y})',
+  'trace.no_route': 'Sin camino a ({x}, {y})',
+  'trace.no_waypoint': 'No existe el punto "{name}"',
+  'trace.pickup': 'Recoger caja',
+  'trace.pickup_failed': 'Nada que recoger',
+  'trace.drop': 'Soltar caja en ({x}, {y})',
+  'trace.drop_failed': 'Nada que soltar',
+  'direction.north': 'norte',
+  'direction.east': 'este',
+  'direction.south': 'sur',
+  'direction.west': 'oeste',
+
+  // Robot errors and results
+  'error.move_off_map': 'No se puede ir a ({x}, {y}): está fuera del mapa.',
+  'error.move_blocked': 'No se puede ir a ({x}, {y}): hay algo en el camino.',
+  'error.route_off_map': 'No se puede ir a ({x}, {y}): está fuera del mapa.',
+  'error.route_blocked': 'No se puede ir a ({x}, {y}): hay algo en esa casilla.',
+  'error.route_unreachable': 'No se puede ir a ({x}, {y}): no hay ningún camino hasta allí.',
+  'error.unknown_waypoint': 'No se puede ir a "{name}": este nivel no tiene ningún punto con ese nombre.',
+  'error.pickup_already_carrying': 'No se puede recoger: el robot ya lleva una caja.',
+  'error.pickup_no_box': 'No se puede recoger: no hay ninguna caja en ({x}, {y}).',
+  'error.drop_not_carrying': 'No se puede soltar: el robot no lleva ninguna caja.',
+  'sandbox.unresponsive': 'Tu programa dejó de responder y se terminó.',
+  'sandbox.start_failed': 'No se pudo iniciar el programa.',
+  'sandbox.call_not_allowed': 'GameAPI.{name} no está disponible para los programas.',
+  'sandbox.instruction_budget': 'Tu programa ejecutó más de {limit} bloques y se detuvo.',
+  'sandbox.loop_limit': 'Un bucle se repitió más de {limit} veces. Puede que nunca termine.',
+  'sandbox.condition_loop_limit': 'Un bucle "repetir mientras/hasta" se ejecutó más de {limit} veces. Puede que su condición nunca cambie.',
+  'scene.win': '¡Felicidades! ¡Entregaste la caja!',
+  'scene.lose': '¡Fin del juego! Soltaste la caja en el lugar equivocado.',
+  'scene.jam': 'La cinta transportadora está atascada en ({x}, {y}).',
+  'result.win_title': '¡Nivel completado!',
+  'result.win_default': '¡Buen trabajo! Completaste el nivel.',
+  'result.win_message': '¡Felicidades! Completaste el nivel y llevaste la caja a su destino.',
+  'result.lose_title': 'Nivel fallido',
+  'result.lose_message': 'La caja se soltó en el lugar equivocado. ¡Inténtalo de nuevo!',
+  'result.steps': 'Pasos',
+  'result.turns': 'Giros',
+  'result.pickups': 'Recogidas',
+  'result.drops': 'Entregas',
+  'result.blocks': 'Bloques',
+  'result.time': 'Tiempo',
+  'result.level': 'Nivel',
+  'result.new_best': '¡Nuevo récord!',
+  'result.best': 'Récord: {value}',
+  'result.next_level': 'Siguiente nivel',
+  'result.all_complete': '¡Todos los niveles completados!',
+  'result.try_again': 'Intentar de nuevo',
+  'result.start_over': 'Empezar de nuevo',
+
+  // Blocks and toolbox
+  'block.custom_start': 'Cuando el programa empiece:',
+  'block.move_to_position': 'Mover el robot a %1',
+  'block.pick_object': 'Recoger objeto',
+  'block.release_object': 'Soltar objeto',
+  'block.move_forward': 'Avanzar %1 pasos',
+  'block.move_backward': 'Retroceder %1 pasos',
+  'block.face_direction': 'Mirar al %1',
+  'block.go_to_waypoint': 'Ir a %1',
+  'block.wait_seconds': 'Esperar %1 segundos',
+  'block.rotate_left': 'Girar en sentido antihorario',
+  'block.rotate_right': 'Girar en sentido horario',
+  'block.controls_repeat': 'Repetir %1 veces',
+  'block.controls_whileUntil': 'Repetir %1 %2',
+  'block.while': 'mientras',
+  'block.until': 'hasta que',
+  'block.if': 'Si %1',
+  'block.do': 'hacer %1',
+  'block.else': 'si no %1',
+  'block.procedure_define': 'Definir rutina %1',
+  'block.procedure_define_param': 'con número n %1',
+  'block.procedure_default_name': 'rutina',
+  'block.procedure_call': 'Ejecutar rutina %1',
+  'block.procedure_call_arg': 'con n = %1',
+  'block.no_routines': '(sin rutinas)',
+  'block.no_waypoints': '(sin puntos de paso)',
+  'block.logic_negate': 'no %1',
+  'block.sensor_path_blocked': 'el camino está bloqueado',
+  'block.sensor_box_in_front': 'hay una caja delante',
+  'block.sensor_next_to_conveyor': 'junto a una cinta transportadora',
+  'block.sensor_carrying_box': 'lleva una caja',
+  'toolbox.blocks': 'Bloques',
+  'toolbox.conditions': 'Condiciones',
+  'toolbox.routines': 'Rutinas',
+  'toolbox.remaining': 'quedan {count}',
+  'toolbox.not_available': 'Este nivel no ofrece este bloque.',
+  'toolbox.limit_exceeded': 'Este nivel solo permite {limit} de estos bloques.',
+  'toolbox.budget_exceeded': 'Tu programa tiene más de los {limit} bloques que permite este nivel.',
+
+  // Text editor, code panel, files and links
+  'text_editor.button': 'Texto',
+  'text_editor.hint': 'Mostrar el programa como texto',
+  'text_editor.label': 'Texto del programa',
+  'text_editor.error': 'Línea {line}: {message}',
+  'language.expected': 'Se esperaba {what} pero se encontró {found}.',
+  'language.end_of_line': 'el final de la línea',
+  'language.command': 'un comando',
+  'language.routine_name': 'el nombre de una rutina',
+  'language.waypoint_name': 'el nombre de un punto de ruta',
+  'language.steps': 'el número de pasos',
+  'language.seconds': 'el número de segundos',
+  'language.times': 'un número de veces, "while" o "until"',
+  'language.turn': '"left" o "right"',
+  'language.direction': 'north, east, south o west',
+  'language.condition': 'una condición (blocked, box_ahead, near_conveyor o carrying)',
+  'language.number_range': '{what} debe estar entre {min} y {max}.',
+  'language.number_min': '{what} debe ser al menos {min}.',
+  'language.whole_number_range': '{what} debe ser un número entero entre {min} y {max}.',
+  'language.whole_number_min': '{what} debe ser un número entero de al menos {min}.',
+  'language.unexpected': 'No se esperaba {found}; escribe cada comando en su propia línea.',
+  'language.missing_brace': 'Falta la "}" del "{owner}" de la línea {line}.',
+  'language.nested_define': 'Las rutinas solo se pueden definir fuera de otros comandos.',
+  'language.n_outside_routine': '"n" solo se puede usar dentro de una rutina definida "with n".',
+  'language.unknown_command': 'Comando desconocido "{command}".',
+  'language.unknown_routine': 'No hay ninguna rutina llamada "{name}".',
+  'language.unavailable': 'Este nivel no ofrece los bloques de este comando.',
+  'language.textless': '"{block}" no tiene forma de texto. Quítalo de los bloques para editar el programa como texto.',
+  'language.no_start_block': 'No se encontró el bloque de inicio en el área de trabajo.',
+  'code.button': 'Ver código',
+  'code.hint': 'Mostrar el programa en Python, Lua o Dart',
+  'code.copy': 'Copiar',
+  'code.copy_hint': 'Copiar el código',
+  'code.copied': 'Copiado',
+  'code.press_copy': 'Pulsa Ctrl+C',
+  'code.error': 'No se pudo generar el código {language}: {message}',
+  'file.download': 'Descargar programa',
+  'file.open': 'Abrir programa',
+  'file.open_failed': 'No se pudo abrir el programa: {message}',
+  'file.other_level': 'Este programa se guardó en el nivel {level}; puede que no sirva para el nivel {currentLevel}.',
+  'file.no_program': 'Este archivo no contiene un programa.',
+  'file.not_program': 'Este archivo no es un programa guardado.',
+  'link.button': 'Copiar un enlace a este programa',
+  'link.copied': 'Se copió al portapapeles un enlace a tu programa.',
+  'link.copy_prompt': 'Copia este enlace a tu programa:',
+  'link.confirm_replace': '¿Reemplazar tu programa de este nivel por el del enlace?',
+  'link.damaged': 'El programa de este enlace está dañado y no se pudo abrir.',
+  'link.failed': 'No se pudo abrir el programa de este enlace.',
+  'link.level_locked': 'Este enlace abre el nivel {level}, que todavía está bloqueado. Completa primero los niveles anteriores.',
+
+  // AI assistant
+  'chat.title': 'Asistente Mike',
+  'chat.clear': 'Borrar chat',
+  'chat.minimize': 'Minimizar',
+  'chat.maximize': 'Maximizar',
+  'chat.placeholder': 'Pregúntame lo que quieras sobre el laberinto...',
+  'chat.welcome': '👋 ¡Hola! Soy Mike, tu asistente. Puedo ayudarte a recorrer el laberinto y crear secuencias de bloques.',
+  'chat.examples': 'Prueba a preguntarme:',
+  'chat.example_move': '"¿Cómo avanzo 3 pasos?"',
+  'chat.example_path': '"¿Cuál es el mejor camino para llegar a la meta?"',
+  'chat.example_execute': '"Ejecuta: avanza 2, gira en sentido horario"',
+  'chat.created': '¡He creado {count} bloque(s) para ti! Revisa tu área de trabajo.',
+  'chat.unknown': 'No pude convertir esto en bloques: {commands}.',
+  'chat.unavailable': 'Este nivel no ofrece los bloques para: {commands}.',
+  'chat.no_blocks': 'Entiendo, pero no pude generar bloques a partir de eso. Pídeme movimientos concretos como "avanza 3 pasos" o "gira en sentido horario".',
+  'chat.error': 'Lo siento, ocurrió un error. Asegúrate de que el servidor esté funcionando en localhost:3000.'
+});
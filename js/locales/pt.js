@@ -0,0 +1,221 @@
+/**
+ * Portuguese messages
+ */
+
+window.I18n.addCatalog('pt', {
+  // Consent screen
+  'consent.info_title': 'Informações do estudo',
+  'consent.purpose_label': 'Objetivo do estudo:',
+  'consent.purpose': 'Este experimento avalia ferramentas educacionais de programação e sua eficácia no ensino de habilidades de pensamento computacional.',
+  'consent.tasks_label': 'O que você vai fazer:',
+  'consent.tasks': 'Você vai completar uma série de desafios de programação com blocos visuais para controlar um robô em um ambiente isométrico.',
+  'consent.data_label': 'Coleta de dados:',
+  'consent.data': 'Vamos coletar dados de interação, tempos de conclusão e estratégias de solução. Todos os dados são anônimos e identificados apenas por um ID gerado aleatoriamente.',
+  'consent.time_label': 'Duração:',
+  'consent.time': 'O estudo costuma levar de 20 a 30 minutos.',
+  'consent.agreement': 'Confirmo que tenho 18 anos ou mais, que li e entendi as informações acima e que concordo voluntariamente em participar deste estudo.',
+  'consent.start': 'Começar o experimento',
+  'consent.footer': 'Louisiana State University • Estudo de pesquisa educacional',
+
+  // Panels and controls
+  'instructions.title': 'Instruções do nível 1',
+  'instructions.text': 'Bem-vindo ao seu primeiro desafio! Leve a caixa da esteira inicial até a posição de destino. Use os blocos à direita para programar os movimentos do robô.',
+  'panel.simulation': 'Simulação',
+  'panel.simulation_hint': 'Visualização interativa',
+  'panel.programming': 'Programação visual',
+  'panel.programming_hint': 'Arraste e solte blocos',
+  'action.run': 'Executar',
+  'action.reset': 'Reiniciar nível',
+  'action.clear': 'Limpar área de trabalho',
+  'action.clear_confirm': 'Tem certeza de que deseja limpar a área de trabalho?',
+  'level.locked': 'Complete os níveis anteriores para desbloquear este nível!',
+  'orphans.hint': 'Blocos que não estão ligados a "Quando o programa começar" não são executados',
+  'orphans.label': 'desconectados',
+  'speed.label': 'Velocidade',
+  'speed.slow': 'Câmera lenta',
+  'speed.skip': 'Sem animações',
+
+  // Debugger and trace
+  'debugger.step': 'Passo',
+  'debugger.step_hint': 'Executar um bloco por vez',
+  'debugger.pause': 'Pausar',
+  'debugger.pause_hint': 'Pausar antes do próximo bloco',
+  'debugger.resume': 'Continuar',
+  'debugger.resume_hint': 'Continuar a execução',
+  'debugger.run_to_end': 'Executar até o fim',
+  'debugger.run_to_end_hint': 'Executar o resto do programa sem pausas',
+  'debugger.stop': 'Parar',
+  'debugger.stop_hint': 'Parar o programa e cancelar os movimentos pendentes',
+  'debugger.add_breakpoint': 'Adicionar ponto de parada',
+  'debugger.remove_breakpoint': 'Remover ponto de parada',
+  'debugger.stopped_at_breakpoint': 'Parado em um ponto de parada',
+  'debugger.paused': 'Pausado',
+  'debugger.position': 'Posição: ({x}, {y})',
+  'debugger.facing': 'Virado para: {direction}',
+  'debugger.carrying_box': 'Carregando: uma caixa',
+  'debugger.carrying_nothing': 'Carregando: nada',
+  'trace.previous': 'Ação anterior',
+  'trace.replay': 'Repetir a execução',
+  'trace.next': 'Próxima ação',
+  'trace.empty': 'Execute seu programa para gravar um percurso',
+  'trace.start': 'Início',
+  'trace.turn': 'Virar para {direction}',
+  'trace.face': 'Olhar para {direction}',
+  'trace.wait': 'Esperar {seconds} s',
+  'trace.move': 'Mover para ({x}, {y})',
+  'trace.blocked': 'Bloqueado em ({x}, {y})',
+  'trace.no_route': 'Sem caminho para ({x}, {y})',
+  'trace.no_waypoint': 'Não existe o ponto "{name}"',
+  'trace.pickup': 'Pegar caixa',
+  'trace.pickup_failed': 'Nada para pegar',
+  'trace.drop': 'Soltar caixa em ({x}, {y})',
+  'trace.drop_failed': 'Nada para soltar',
+  'direction.north': 'norte',
+  'direction.east': 'leste',
+  'direction.south': 'sul',
+  'direction.west': 'oeste',
+
+  // Robot errors and results
+  'error.move_off_map': 'Não é possível ir para ({x}, {y}): fica fora do mapa.',
+  'error.move_blocked': 'Não é possível ir para ({x}, {y}): há algo no caminho.',
+  'error.route_off_map': 'Não é possível ir para ({x}, {y}): fica fora do mapa.',
+  'error.route_blocked': 'Não é possível ir para ({x}, {y}): há algo nessa casa.',
+  'error.route_unreachable': 'Não é possível ir para ({x}, {y}): não há nenhum caminho até lá.',
+  'error.unknown_waypoint': 'Não é possível ir para "{name}": este nível não tem nenhum ponto com esse nome.',
+  'error.pickup_already_carrying': 'Não é possível pegar: o robô já está carregando uma caixa.',
+  'error.pickup_no_box': 'Não é possível pegar: não há caixa em ({x}, {y}).',
+  'error.drop_not_carrying': 'Não é possível soltar: o robô não está carregando uma caixa.',
+  'sandbox.unresponsive': 'Seu programa parou de responder e foi encerrado.',
+  'sandbox.start_failed': 'Não foi possível iniciar o programa.',
+  'sandbox.call_not_allowed': 'GameAPI.{name} não está disponível para os programas.',
+  'sandbox.instruction_budget': 'Seu programa executou mais de {limit} blocos e foi interrompido.',
+  'sandbox.loop_limit': 'Um laço se repetiu mais de {limit} vezes. Talvez ele nunca termine.',
+  'sandbox.condition_loop_limit': 'Um laço "repetir enquanto/até" rodou mais de {limit} vezes. Talvez sua condição nunca mude.',
+  'scene.win': 'Parabéns! Você entregou a caixa!',
+  'scene.lose': 'Fim de jogo! Você soltou a caixa no lugar errado.',
+  'scene.jam': 'A esteira está travada em ({x}, {y}).',
+  'result.win_title': 'Nível concluído!',
+  'result.win_default': 'Bom trabalho! Você concluiu o nível.',
+  'result.win_message': 'Parabéns! Você concluiu o nível e levou a caixa até o destino.',
+  'result.lose_title': 'Nível não concluído',
+  'result.lose_message': 'A caixa foi solta no lugar errado. Tente de novo!',
+  'result.steps': 'Passos',
+  'result.turns': 'Giros',
+  'result.pickups': 'Coletas',
+  'result.drops': 'Entregas',
+  'result.blocks': 'Blocos',
+  'result.time': 'Tempo',
+  'result.level': 'Nível',
+  'result.new_best': 'Novo recorde!',
+  'result.best': 'Recorde: {value}',
+  'result.next_level': 'Próximo nível',
+  'result.all_complete': 'Todos os níveis concluídos!',
+  'result.try_again': 'Tentar de novo',
+  'result.start_over': 'Recomeçar',
+
+  // Blocks and toolbox
+  'block.custom_start': 'Quando o programa começar:',
+  'block.move_to_position': 'Mover o robô para %1',
+  'block.pick_object': 'Pegar objeto',
+  'block.release_object': 'Soltar objeto',
+  'block.move_forward': 'Andar %1 passos para frente',
+  'block.move_backward': 'Andar %1 passos para trás',
+  'block.face_direction': 'Virar para %1',
+  'block.go_to_waypoint': 'Ir para %1',
+  'block.wait_seconds': 'Esperar %1 segundos',
+  'block.rotate_left': 'Girar no sentido anti-horário',
+  'block.rotate_right': 'Girar no sentido horário',
+  'block.controls_repeat': 'Repetir %1 vezes',
+  'block.controls_whileUntil': 'Repetir %1 %2',
+  'block.while': 'enquanto',
+  'block.until': 'até que',
+  'block.if': 'Se %1',
+  'block.do': 'faça %1',
+  'block.else': 'senão %1',
+  'block.procedure_define': 'Definir rotina %1',
+  'block.procedure_define_param': 'com número n %1',
+  'block.procedure_default_name': 'rotina',
+  'block.procedure_call': 'Executar rotina %1',
+  'block.procedure_call_arg': 'com n = %1',
+  'block.no_routines': '(sem rotinas)',
+  'block.no_waypoints': '(sem pontos de passagem)',
+  'block.logic_negate': 'não %1',
+  'block.sensor_path_blocked': 'caminho à frente bloqueado',
+  'block.sensor_box_in_front': 'caixa à frente',
+  'block.sensor_next_to_conveyor': 'ao lado de uma esteira',
+  'block.sensor_carrying_box': 'carregando uma caixa',
+  'toolbox.blocks': 'Blocos',
+  'toolbox.conditions': 'Condições',
+  'toolbox.routines': 'Rotinas',
+  'toolbox.remaining': 'restam {count}',
+  'toolbox.not_available': 'Este nível não oferece este bloco.',
+  'toolbox.limit_exceeded': 'Este nível permite apenas {limit} destes blocos.',
+  'toolbox.budget_exceeded': 'Seu programa tem mais do que os {limit} blocos permitidos neste nível.',
+
+  // Text editor, code panel, files and links
+  'text_editor.button': 'Texto',
+  'text_editor.hint': 'Mostrar o programa como texto',
+  'text_editor.label': 'Texto do programa',
+  'text_editor.error': 'Linha {line}: {message}',
+  'language.expected': 'Era esperado {what}, mas foi encontrado {found}.',
+  'language.end_of_line': 'o fim da linha',
+  'language.command': 'um comando',
+  'language.routine_name': 'o nome de uma rotina',
+  'language.waypoint_name': 'o nome de um ponto de passagem',
+  'language.steps': 'o número de passos',
+  'language.seconds': 'o número de segundos',
+  'language.times': 'um número de vezes, "while" ou "until"',
+  'language.turn': '"left" ou "right"',
+  'language.direction': 'north, east, south ou west',
+  'language.condition': 'uma condição (blocked, box_ahead, near_conveyor ou carrying)',
+  'language.number_range': '{what} deve estar entre {min} e {max}.',
+  'language.number_min': '{what} deve ser pelo menos {min}.',
+  'language.whole_number_range': '{what} deve ser um número inteiro entre {min} e {max}.',
+  'language.whole_number_min': '{what} deve ser um número inteiro de pelo menos {min}.',
+  'language.unexpected': '{found} inesperado; escreva cada comando em sua própria linha.',
+  'language.missing_brace': 'Falta a "}" do "{owner}" da linha {line}.',
+  'language.nested_define': 'Rotinas só podem ser definidas fora de outros comandos.',
+  'language.n_outside_routine': '"n" só pode ser usado dentro de uma rotina definida "with n".',
+  'language.unknown_command': 'Comando desconhecido "{command}".',
+  'language.unknown_routine': 'Não existe nenhuma rotina chamada "{name}".',
+  'language.unavailable': 'Este nível não oferece os blocos deste comando.',
+  'language.textless': '"{block}" não tem forma de texto. Remova-o dos blocos para editar o programa como texto.',
+  'language.no_start_block': 'O bloco de início não foi encontrado na área de trabalho.',
+  'code.button': 'Ver código',
+  'code.hint': 'Mostrar o programa em Python, Lua ou Dart',
+  'code.copy': 'Copiar',
+  'code.copy_hint': 'Copiar o código',
+  'code.copied': 'Copiado',
+  'code.press_copy': 'Pressione Ctrl+C',
+  'code.error': 'Não foi possível gerar o código {language}: {message}',
+  'file.download': 'Baixar programa',
+  'file.open': 'Abrir programa',
+  'file.open_failed': 'Não foi possível abrir o programa: {message}',
+  'file.other_level': 'Este programa foi salvo no nível {level}; talvez não sirva para o nível {currentLevel}.',
+  'file.no_program': 'Este arquivo não contém um programa.',
+  'file.not_program': 'Este arquivo não é um programa salvo.',
+  'link.button': 'Copiar um link para este programa',
+  'link.copied': 'Um link para o seu programa foi copiado para a área de transferência.',
+  'link.copy_prompt': 'Copie este link para o seu programa:',
+  'link.confirm_replace': 'Substituir o seu programa deste nível pelo do link?',
+  'link.damaged': 'O programa deste link está danificado e não pôde ser aberto.',
+  'link.failed': 'Não foi possível abrir o programa deste link.',
+  'link.level_locked': 'Este link abre o nível {level}, que ainda está bloqueado. Complete primeiro os níveis anteriores.',
+
+  // AI assistant
+  'chat.title': 'Assistente Mike',
+  'chat.clear': 'Limpar conversa',
+  'chat.minimize': 'Minimizar',
+  'chat.maximize': 'Maximizar',
+  'chat.placeholder': 'Pergunte o que quiser sobre o labirinto...',
+  'chat.welcome': '👋 Olá! Eu sou o Mike, seu assistente. Posso ajudar você a percorrer o labirinto e criar sequências de blocos.',
+  'chat.examples': 'Experimente perguntar:',
+  'chat.example_move': '"Como ando 3 passos para frente?"',
+  'chat.example_path': '"Qual é o melhor caminho até o objetivo?"',
+  'chat.example_execute': '"Execute: andar 2, girar no sentido horário"',
+  'chat.created': 'Criei {count} bloco(s) para você! Confira sua área de trabalho.',
+  'chat.unknown': 'Não consegui transformar isto em blocos: {commands}.',
+  'chat.unavailable': 'Este nível não oferece os blocos para: {commands}.',
+  'chat.no_blocks': 'Entendi, mas não consegui gerar blocos a partir disso. Peça movimentos específicos como "andar 3 passos" ou "girar no sentido horário".',
+  'chat.error': 'Desculpe, ocorreu um erro. Verifique se o servidor está rodando em localhost:3000.'
+});
@@ -13,6 +13,53 @@ Blockly.Extensions.register('move_block_created', function() {
     );
   });
   
+  // Dropdown of names that may not exist yet when a program loads: saved
+  // programs list the start block before the routine definitions, and a
+  // level's waypoints come from its map, which may load after the program.
+  // The field keeps such a name instead of rejecting it.
+  class NameDropdown extends Blockly.FieldDropdown {
+    doClassValidation_(newValue) {
+      return typeof newValue === 'string' ? newValue : null;
+    }
+
+    doValueUpdate_(newValue) {
+      super.doValueUpdate_(newValue);
+      if (this.selectedOption_[1] !== newValue) this.selectedOption_ = [newValue, newValue];
+    }
+  }
+
+  // Menu of the given names plus the field's current value
+  function nameOptions(field, names, emptyText) {
+    const value = field.getValue();
+    if (value && !names.includes(value)) names.push(value);
+    if (names.length === 0) return [[emptyText, ""]];
+    return names.map(name => [name, name]);
+  }
+
+  // Routine names of every "Define routine" block, for the "Run routine" dropdown
+  Blockly.Extensions.register('procedure_call_created', function() {
+    this.getInput('ROUTINE').appendField(
+      new NameDropdown(function() {
+        return nameOptions(this, getRoutineNames(), window.I18n.t('block.no_routines'));
+      }), 'NAME'
+    );
+  });
+
+  // Waypoint names of the current level, for the "Go to" dropdown
+  Blockly.Extensions.register('go_to_waypoint_created', function() {
+    this.getInput('WAYPOINT').appendField(
+      new NameDropdown(function() {
+        const names = window.GameAPI ? window.GameAPI.getWaypoints() : [];
+        return nameOptions(this, names, window.I18n.t('block.no_waypoints'));
+      }), 'NAME'
+    );
+  });
+
+  function getRoutineNames() {
+    return Blockly.getMainWorkspace().getBlocksByType("procedure_define", false)
+      .map(block => block.getFieldValue("NAME"));
+  }
+
   function updateDropdownOptions(dropdownField) {
     var dropdownOptions = dropdownField.getOptions(false);
     for (let [name, key] of savedVariables) {
@@ -33,16 +80,15 @@ Blockly.Extensions.register('move_block_created', function() {
   Blockly.defineBlocksWithJsonArray([
     {
       "type": "custom_start",
-      "message0": "When program starts:",
+      "message0": window.I18n.t('block.custom_start'),
       "nextStatement": null,
       "colour": 210
     },
     {
       "type": "move_to_position",
-      "message0": "%2 Move robot to %1",
+      "message0": window.I18n.t('block.move_to_position'),
       "args0": [
-        { "type": "input_dummy", "name": "POSITION" },
-        { "type": "field_checkbox", "name": "Breakpoint", "checked": false }
+        { "type": "input_dummy", "name": "POSITION" }
       ],
       "previousStatement": null,
       "nextStatement": null,
@@ -51,7 +97,7 @@ Blockly.Extensions.register('move_block_created', function() {
     },
     {
       "type": "pick_object",
-      "message0": "Pick up object",
+      "message0": window.I18n.t('block.pick_object'),
       "args0": [],
       "previousStatement": null,
       "nextStatement": null,
@@ -59,7 +105,7 @@ Blockly.Extensions.register('move_block_created', function() {
     },
     {
       "type": "release_object",
-      "message0": "Release object",
+      "message0": window.I18n.t('block.release_object'),
       "args0": [],
       "previousStatement": null,
       "nextStatement": null,
@@ -67,39 +113,212 @@ Blockly.Extensions.register('move_block_created', function() {
     },
     {
       "type": "move_forward",
-      "message0": "Move forward %1 steps",
-      "args0": [{ "type": "field_number", "name": "STEPS", "value": 1, "min": 1 }],
+      "message0": window.I18n.t('block.move_forward'),
+      "args0": [{ "type": "field_number", "name": "STEPS", "value": 1, "min": 1, "precision": 1 }],
       "previousStatement": null,
       "nextStatement": null,
       "colour": 160
     },
+    {
+      "type": "move_backward",
+      "message0": window.I18n.t('block.move_backward'),
+      "args0": [{ "type": "field_number", "name": "STEPS", "value": 1, "min": 1, "precision": 1 }],
+      "previousStatement": null,
+      "nextStatement": null,
+      "colour": 160
+    },
+    {
+      "type": "face_direction",
+      "message0": window.I18n.t('block.face_direction'),
+      "args0": [
+        {
+          "type": "field_dropdown",
+          "name": "DIRECTION",
+          "options": [
+            [window.I18n.t('direction.north'), "north"],
+            [window.I18n.t('direction.east'), "east"],
+            [window.I18n.t('direction.south'), "south"],
+            [window.I18n.t('direction.west'), "west"]
+          ]
+        }
+      ],
+      "previousStatement": null,
+      "nextStatement": null,
+      "colour": 210
+    },
+    {
+      "type": "go_to_waypoint",
+      "message0": window.I18n.t('block.go_to_waypoint'),
+      "args0": [
+        { "type": "input_dummy", "name": "WAYPOINT" }
+      ],
+      "previousStatement": null,
+      "nextStatement": null,
+      "colour": 210,
+      "extensions": ["go_to_waypoint_created"]
+    },
+    {
+      "type": "wait_seconds",
+      "message0": window.I18n.t('block.wait_seconds'),
+      "args0": [{ "type": "field_number", "name": "SECONDS", "value": 1, "min": 0, "max": 10, "precision": 0.1 }],
+      "previousStatement": null,
+      "nextStatement": null,
+      "colour": 60
+    },
     {
       "type": "rotate_left",
-      "message0": "Turn counter-clockwise",
+      "message0": window.I18n.t('block.rotate_left'),
       "previousStatement": null,
       "nextStatement": null,
       "colour": 210
     },
     {
       "type": "rotate_right",
-      "message0": "Turn clockwise",
+      "message0": window.I18n.t('block.rotate_right'),
       "previousStatement": null,
       "nextStatement": null,
       "colour": 210
     },
     {
       "type": "controls_repeat",
-      "message0": "Repeat %1 times",
+      "message0": window.I18n.t('block.controls_repeat'),
       "args0": [
         { "type": "field_number", "name": "TIMES", "value": 2, "min": 1, "max": 100 }
       ],
-      "message1": "do %1",
+      "message1": window.I18n.t('block.do'),
       "args1": [
         { "type": "input_statement", "name": "DO" }
       ],
       "previousStatement": null,
       "nextStatement": null,
       "colour": 120
+    },
+    {
+      "type": "controls_whileUntil",
+      "message0": window.I18n.t('block.controls_whileUntil'),
+      "args0": [
+        { "type": "field_dropdown", "name": "MODE", "options": [[window.I18n.t('block.while'), "WHILE"], [window.I18n.t('block.until'), "UNTIL"]] },
+        { "type": "input_value", "name": "BOOL", "check": "Boolean" }
+      ],
+      "message1": window.I18n.t('block.do'),
+      "args1": [
+        { "type": "input_statement", "name": "DO" }
+      ],
+      "previousStatement": null,
+      "nextStatement": null,
+      "colour": 120
+    },
+    {
+      "type": "controls_if",
+      "message0": window.I18n.t('block.if'),
+      "args0": [
+        { "type": "input_value", "name": "IF", "check": "Boolean" }
+      ],
+      "message1": window.I18n.t('block.do'),
+      "args1": [
+        { "type": "input_statement", "name": "DO" }
+      ],
+      "previousStatement": null,
+      "nextStatement": null,
+      "colour": 260
+    },
+    {
+      "type": "controls_ifelse",
+      "message0": window.I18n.t('block.if'),
+      "args0": [
+        { "type": "input_value", "name": "IF", "check": "Boolean" }
+      ],
+      "message1": window.I18n.t('block.do'),
+      "args1": [
+        { "type": "input_statement", "name": "DO" }
+      ],
+      "message2": window.I18n.t('block.else'),
+      "args2": [
+        { "type": "input_statement", "name": "ELSE" }
+      ],
+      "previousStatement": null,
+      "nextStatement": null,
+      "colour": 260
+    },
+    {
+      "type": "procedure_define",
+      "message0": window.I18n.t('block.procedure_define'),
+      "args0": [
+        { "type": "field_input", "name": "NAME", "text": window.I18n.t('block.procedure_default_name') }
+      ],
+      "message1": window.I18n.t('block.procedure_define_param'),
+      "args1": [
+        { "type": "field_checkbox", "name": "HAS_PARAM", "checked": false }
+      ],
+      "message2": window.I18n.t('block.do'),
+      "args2": [
+        { "type": "input_statement", "name": "DO" }
+      ],
+      "colour": 330
+    },
+    {
+      "type": "procedure_call",
+      "message0": window.I18n.t('block.procedure_call'),
+      "args0": [
+        { "type": "input_dummy", "name": "ROUTINE" }
+      ],
+      "message1": window.I18n.t('block.procedure_call_arg'),
+      "args1": [
+        { "type": "field_number", "name": "ARG", "value": 1 }
+      ],
+      "previousStatement": null,
+      "nextStatement": null,
+      "colour": 330,
+      "extensions": ["procedure_call_created"]
+    },
+    {
+      "type": "procedure_param",
+      "message0": "n",
+      "output": "Number",
+      "colour": 330
+    },
+    {
+      "type": "move_forward_by",
+      "message0": window.I18n.t('block.move_forward'),
+      "args0": [
+        { "type": "input_value", "name": "STEPS", "check": "Number" }
+      ],
+      "previousStatement": null,
+      "nextStatement": null,
+      "colour": 160
+    },
+    {
+      "type": "logic_negate",
+      "message0": window.I18n.t('block.logic_negate'),
+      "args0": [
+        { "type": "input_value", "name": "BOOL", "check": "Boolean" }
+      ],
+      "output": "Boolean",
+      "colour": 260
+    },
+    {
+      "type": "sensor_path_blocked",
+      "message0": window.I18n.t('block.sensor_path_blocked'),
+      "output": "Boolean",
+      "colour": 290
+    },
+    {
+      "type": "sensor_box_in_front",
+      "message0": window.I18n.t('block.sensor_box_in_front'),
+      "output": "Boolean",
+      "colour": 290
+    },
+    {
+      "type": "sensor_next_to_conveyor",
+      "message0": window.I18n.t('block.sensor_next_to_conveyor'),
+      "output": "Boolean",
+      "colour": 290
+    },
+    {
+      "type": "sensor_carrying_box",
+      "message0": window.I18n.t('block.sensor_carrying_box'),
+      "output": "Boolean",
+      "colour": 290
     }
   ]);
   
@@ -124,6 +343,32 @@ Blockly.Extensions.register('move_block_created', function() {
     return `await GameAPI.moveForward(${steps});\n`;
   };
   
+  Blockly.JavaScript['move_forward_by'] = function(block) {
+    const steps = Blockly.JavaScript.valueToCode(block, 'STEPS', Blockly.JavaScript.ORDER_NONE) || '1';
+    return `await GameAPI.moveForward(${steps});\n`;
+  };
+
+  Blockly.JavaScript['move_backward'] = function(block) {
+    const steps = block.getFieldValue('STEPS');
+    return `await GameAPI.moveBackward(${steps});\n`;
+  };
+
+  Blockly.JavaScript['face_direction'] = function(block) {
+    const direction = block.getFieldValue('DIRECTION');
+    return `await GameAPI.face('${direction}');\n`;
+  };
+
+  Blockly.JavaScript['go_to_waypoint'] = function(block) {
+    const name = block.getFieldValue('NAME');
+    if (!name) return '';
+    return `await GameAPI.goToWaypoint(${Blockly.JavaScript.quote_(name)});\n`;
+  };
+
+  Blockly.JavaScript['wait_seconds'] = function(block) {
+    const seconds = block.getFieldValue('SECONDS');
+    return `await GameAPI.wait(${seconds});\n`;
+  };
+
   Blockly.JavaScript['rotate_left'] = function() {
     return `await GameAPI.rotateLeft();\n`;
   };
@@ -134,10 +379,93 @@ Blockly.Extensions.register('move_block_created', function() {
 
   Blockly.JavaScript['controls_repeat'] = function(block) {
     const times = block.getFieldValue('TIMES');
-    const branch = Blockly.JavaScript.statementToCode(block, 'DO');
+    let branch = Blockly.JavaScript.statementToCode(block, 'DO');
+    branch = Blockly.JavaScript.addLoopTrap(branch, block);
     return `for (let i = 0; i < ${times}; i++) {\n${branch}}\n`;
   };
 
+  // The condition is re-read from the scene before every iteration;
+  // loopGuard ends the program if it never changes
+  Blockly.JavaScript['controls_whileUntil'] = function(block) {
+    const until = block.getFieldValue('MODE') === 'UNTIL';
+    let condition = Blockly.JavaScript.valueToCode(block, 'BOOL',
+      until ? Blockly.JavaScript.ORDER_LOGICAL_NOT : Blockly.JavaScript.ORDER_NONE) || 'false';
+    if (until) condition = `!${condition}`;
+    let branch = Blockly.JavaScript.statementToCode(block, 'DO');
+    branch = Blockly.JavaScript.addLoopTrap(branch, block);
+    return `for (let iteration = 1; ${condition}; iteration++) {\n  loopGuard(iteration);\n${branch}}\n`;
+  };
+
+  Blockly.JavaScript['controls_if'] = function(block) {
+    const condition = Blockly.JavaScript.valueToCode(block, 'IF', Blockly.JavaScript.ORDER_NONE) || 'false';
+    const branch = Blockly.JavaScript.statementToCode(block, 'DO');
+    return `if (${condition}) {\n${branch}}\n`;
+  };
+
+  Blockly.JavaScript['controls_ifelse'] = function(block) {
+    const condition = Blockly.JavaScript.valueToCode(block, 'IF', Blockly.JavaScript.ORDER_NONE) || 'false';
+    const branch = Blockly.JavaScript.statementToCode(block, 'DO');
+    const elseBranch = Blockly.JavaScript.statementToCode(block, 'ELSE');
+    return `if (${condition}) {\n${branch}} else {\n${elseBranch}}\n`;
+  };
+
+  // A routine's function must not shadow what the generated code relies on: the
+  // sandbox's parameters and hidden globals, "n" and the loop counters
+  Blockly.JavaScript.addReservedWords(['GameAPI', 'beforeBlock', 'loopTrap', 'loopGuard',
+    ...window.ProgramSandbox.hiddenGlobals, 'n', 'i', 'iteration'].join(','));
+
+  // Routines become async functions so their blocks can await GameAPI like the main program.
+  // The definition is emitted once, ahead of the program, through the generator's definitions.
+  Blockly.JavaScript['procedure_define'] = function(block) {
+    const name = Blockly.JavaScript.nameDB_.getName(block.getFieldValue('NAME'), Blockly.Names.NameType.PROCEDURE);
+    const param = block.getFieldValue('HAS_PARAM') === 'TRUE' ? 'n' : '';
+    const branch = Blockly.JavaScript.statementToCode(block, 'DO');
+    Blockly.JavaScript.definitions_['%' + name] = `async function ${name}(${param}) {\n${branch}}`;
+    return null;
+  };
+
+  Blockly.JavaScript['procedure_call'] = function(block) {
+    const routine = block.getFieldValue('NAME');
+    const definition = block.workspace.getBlocksByType('procedure_define', false)
+      .find(def => def.isEnabled() && def.getFieldValue('NAME') === routine);
+    if (!routine || !definition) return '';
+
+    // The number is only passed to routines that take n
+    const arg = definition.getFieldValue('HAS_PARAM') === 'TRUE' ? Number(block.getFieldValue('ARG')) : '';
+
+    const name = Blockly.JavaScript.nameDB_.getName(routine, Blockly.Names.NameType.PROCEDURE);
+    return `await ${name}(${arg});\n`;
+  };
+
+  // "n" only has a value inside a routine that takes a number
+  Blockly.JavaScript['procedure_param'] = function(block) {
+    const root = block.getRootBlock();
+    const hasParam = root.type === 'procedure_define' && root.getFieldValue('HAS_PARAM') === 'TRUE';
+    return [hasParam ? 'n' : '0', Blockly.JavaScript.ORDER_ATOMIC];
+  };
+
+  Blockly.JavaScript['logic_negate'] = function(block) {
+    const value = Blockly.JavaScript.valueToCode(block, 'BOOL', Blockly.JavaScript.ORDER_LOGICAL_NOT) || 'true';
+    return [`!${value}`, Blockly.JavaScript.ORDER_LOGICAL_NOT];
+  };
+
+  // Sensors ask the simulation for the robot's surroundings
+  Blockly.JavaScript['sensor_path_blocked'] = function() {
+    return ['await GameAPI.isPathBlocked()', Blockly.JavaScript.ORDER_AWAIT];
+  };
+
+  Blockly.JavaScript['sensor_box_in_front'] = function() {
+    return ['await GameAPI.isItemInFront()', Blockly.JavaScript.ORDER_AWAIT];
+  };
+
+  Blockly.JavaScript['sensor_next_to_conveyor'] = function() {
+    return ['await GameAPI.isNextToConveyor()', Blockly.JavaScript.ORDER_AWAIT];
+  };
+
+  Blockly.JavaScript['sensor_carrying_box'] = function() {
+    return ['await GameAPI.isCarryingItem()', Blockly.JavaScript.ORDER_AWAIT];
+  };
+
   // Code generator for the starting block (generates no code, just serves as entry point)
   Blockly.JavaScript['custom_start'] = function(block) {
     // For hat blocks (starting blocks), we typically just return empty string
@@ -146,16 +474,37 @@ Blockly.Extensions.register('move_block_created', function() {
   };
   
   // --- Toolbox ---
+  // Every block; ToolboxManager narrows it down to the current level's blocks
   const toolbox = {
     "kind": "flyoutToolbox",
     "contents": [
-      { "kind": "label", "text": "Blocks" },
+      { "kind": "label", "text": window.I18n.t('toolbox.blocks') },
       { "kind": "block", "type": "move_forward" },
+      { "kind": "block", "type": "move_backward" },
       { "kind": "block", "type": "rotate_left" },
       { "kind": "block", "type": "rotate_right" },
+      { "kind": "block", "type": "face_direction" },
+      { "kind": "block", "type": "go_to_waypoint" },
       { "kind": "block", "type": "pick_object" },
       { "kind": "block", "type": "release_object" },
-      { "kind": "block", "type": "controls_repeat" }
+      { "kind": "block", "type": "wait_seconds" },
+      { "kind": "block", "type": "controls_repeat" },
+      { "kind": "block", "type": "controls_whileUntil" },
+      { "kind": "label", "text": window.I18n.t('toolbox.conditions') },
+      { "kind": "block", "type": "controls_if" },
+      { "kind": "block", "type": "controls_ifelse" },
+      { "kind": "block", "type": "logic_negate" },
+      { "kind": "block", "type": "sensor_path_blocked" },
+      { "kind": "block", "type": "sensor_box_in_front" },
+      { "kind": "block", "type": "sensor_next_to_conveyor" },
+      { "kind": "block", "type": "sensor_carrying_box" },
+      { "kind": "label", "text": window.I18n.t('toolbox.routines') },
+      { "kind": "block", "type": "procedure_define" },
+      { "kind": "block", "type": "procedure_call" },
+      { "kind": "block", "type": "procedure_param" },
+      { "kind": "block", "type": "move_forward_by", "inputs": {
+        "STEPS": { "block": { "type": "procedure_param" } }
+      } }
     ]
   };
   
@@ -189,15 +538,128 @@ Blockly.Extensions.register('move_block_created', function() {
     }
   }
   
+  // --- Link compartilhado ---
+  // A link's level is chosen before the toolbox, the saved program and the scene read it
+  window.ProgramLinks.applyLevel();
+
+  // --- Toolbox do nível ---
+  window.ToolboxManager.attach(blocklyWorkspace, toolbox);
+  window.ToolboxManager.applyLevel(window.LevelManager.getCurrentLevel());
+
+  // --- Editor de texto ---
+  window.TextEditor.attach(blocklyWorkspace);
+
+  // --- Painel de código ---
+  window.CodePanel.attach(blocklyWorkspace);
+
+  // --- Salvamento automático ---
+  // Show the program saved for this level, if any, instead of the empty start block
+  window.ProgramStorage.attach(blocklyWorkspace, window.LevelManager.currentLevel);
+  window.ProgramStorage.restore(window.LevelManager.currentLevel);
+
+  // --- Blocos desconectados ---
+  // Only the chain under "When program starts" and routine definitions run. Stacks
+  // lying loose in the workspace are disabled (greyed out) and counted in the warning badge.
+  const TOP_LEVEL_TYPES = ["custom_start", "procedure_define"];
+  // Marks the blocks disabled here, so user-disabled blocks are left alone. It is kept
+  // in block.data, which is saved with the program, so it survives reloads and level switches.
+  const ORPHAN_MARKER = "disabled-as-orphan";
+
+  function updateOrphanBlocks(event) {
+    if (event && event.isUiEvent) return;
+    if (blocklyWorkspace.isDragging()) return; // Judge the stack once it is dropped
+
+    let orphanCount = 0;
+    Blockly.Events.setRecordUndo(false);
+    try {
+      blocklyWorkspace.getTopBlocks(false).forEach(root => {
+        const isOrphan = !TOP_LEVEL_TYPES.includes(root.type);
+        if (isOrphan) {
+          orphanCount += root.getDescendants(false).length;
+          if (root.isEnabled()) {
+            root.setEnabled(false);
+            root.data = ORPHAN_MARKER;
+          }
+        }
+
+        // Re-enable stacks that were disabled as orphans and are now attached
+        root.getDescendants(false).forEach(block => {
+          if (block === root && isOrphan) return;
+          if (block.data !== ORPHAN_MARKER) return;
+          block.data = null;
+          block.setEnabled(true);
+        });
+      });
+    } finally {
+      Blockly.Events.setRecordUndo(true);
+    }
+
+    const badge = document.getElementById("orphan-badge");
+    if (badge) {
+      document.getElementById("orphan-count").textContent = orphanCount;
+      badge.classList.toggle("d-none", orphanCount === 0);
+    }
+  }
+
+  blocklyWorkspace.addChangeListener(updateOrphanBlocks);
+  updateOrphanBlocks();
+
+  // Keep "Run routine" blocks pointing at a routine when it is renamed
+  blocklyWorkspace.addChangeListener(event => {
+    if (event.type !== Blockly.Events.BLOCK_CHANGE || event.name !== "NAME") return;
+    const block = blocklyWorkspace.getBlockById(event.blockId);
+    if (!block || block.type !== "procedure_define") return;
+
+    blocklyWorkspace.getBlocksByType("procedure_call", false).forEach(call => {
+      if (call.getFieldValue("NAME") === event.oldValue) call.setFieldValue(event.newValue, "NAME");
+    });
+  });
+
   // --- Botões ---
   blocklyWorkspace.registerButtonCallback("create-position", loadCreatePositionModal);
   blocklyWorkspace.registerButtonCallback("delete-positions", loadPositionsForRemoval);
   
   // --- Execução do programa ---
-  window.executeBlocklyCode = async function executeBlocklyCode() {
-    const code = Blockly.JavaScript.workspaceToCode(blocklyWorkspace);
+  window.ProgramDebugger.attach(blocklyWorkspace);
+
+  window.executeBlocklyCode = async function executeBlocklyCode(options = {}) {
+    const debuggerControl = window.ProgramDebugger;
+    if (debuggerControl.isActive()) {
+      console.warn("A program is already running");
+      return;
+    }
+
+    // Only the chain attached to "When program starts" runs
+    const startBlock = blocklyWorkspace.getBlocksByType("custom_start")[0];
+    if (!startBlock) {
+      console.warn("Start block not found, nothing to run");
+      return;
+    }
+
+    // Blocks left over from another level may break this level's limits
+    const violations = window.ToolboxManager.getViolations();
+    if (violations.length > 0) {
+      debuggerControl.clearErrors();
+      violations.forEach(violation => {
+        violation.blockIds.forEach(id => debuggerControl.markError(id, violation.message));
+      });
+      GameAPI.showMessage(`⚠️ ${violations[0].message}`, 'fail');
+      return;
+    }
+
+    // Every block reports to the debugger before it runs so it can be highlighted,
+    // and every loop iteration is counted by the sandbox
+    Blockly.JavaScript.STATEMENT_PREFIX = debuggerControl.getStatementPrefix();
+    Blockly.JavaScript.INFINITE_LOOP_TRAP = 'loopTrap();\n';
+    Blockly.JavaScript.init(blocklyWorkspace);
+    const routines = blocklyWorkspace.getBlocksByType("procedure_define", false);
+    routines.forEach(routine => Blockly.JavaScript.blockToCode(routine));
+    const code = Blockly.JavaScript.finish(Blockly.JavaScript.blockToCode(startBlock));
+    Blockly.JavaScript.STATEMENT_PREFIX = null;
+    Blockly.JavaScript.INFINITE_LOOP_TRAP = null;
     console.log("Generated code:\n", code);
   
+    debuggerControl.start(options.stepMode);
     try {
       await GameAPI.ready();
       
@@ -206,22 +668,45 @@ Blockly.Extensions.register('move_block_created', function() {
       
       // Wait a moment for reset to complete
       await new Promise(resolve => setTimeout(resolve, 100));
+      // The start block and routine headers are not part of the program's size
+      GameAPI.setProgramBlockCount([startBlock, ...routines]
+        .flatMap(root => root.getDescendants(false))
+        .filter(block => block.type !== 'custom_start' && block.type !== 'procedure_define').length);
       
-      await eval(`(async () => { ${code} })()`);
+      // Aborted by GameAPI.stop() (Stop button, Reset Level or a level change)
+      const signal = GameAPI.getSignal();
+      await window.ProgramSandbox.run(code, signal);
     } catch (e) {
-      console.error("Blockly execution failed", e);
+      if (e.name === 'AbortError') {
+        console.log("Program stopped");
+      } else if (window.ProgramSandbox.isLimitError(e)) {
+        console.warn("Program ended by the sandbox:", e.message);
+        GameAPI.stop();
+        GameAPI.showMessage(`⚠️ ${e.message}`, 'fail');
+      } else {
+        console.error("Blockly execution failed", e);
+      }
+    } finally {
+      debuggerControl.finish();
+      window.TraceTimeline.refresh();
     }
   }
 
 // Global function to create blocks from ChatGPT response (called from chatbot)
+// Returns { created, unknown, unavailable }: the number of blocks created and a
+// description of every command that could not be turned into a block, or whose
+// block the current level does not offer, for the chat to report
 window.createBlocksFromChatGPT = function(response) {
   console.log("⬅️ Creating blocks from response:", response);
 
-  const commands = response.commands || [];
+  // Anything but a list counts as no commands
+  const commands = Array.isArray(response && response.commands) ? response.commands : [];
+  const routines = Array.isArray(response && response.routines) ? response.routines : [];
+  const report = { created: 0, unknown: [], unavailable: [] };
   
-  if (commands.length === 0) {
+  if (commands.length === 0 && routines.length === 0) {
     console.warn("No commands received from ChatGPT");
-    return;
+    return report;
   }
 
   // Find the custom_start block
@@ -231,53 +716,152 @@ window.createBlocksFromChatGPT = function(response) {
     throw new Error("Start block not found in workspace.");
   }
 
+  // Routines first, so "call" commands can select them
+  const existingRoutines = getRoutineNames();
+  routines.forEach((routine, index) => {
+    if (!routine || typeof routine !== "object") {
+      report.unknown.push(describeCommand(routine));
+      return;
+    }
+    if (!routine.name || existingRoutines.includes(routine.name)) return;
+    if (!window.ToolboxManager.isAvailable("procedure_define")) {
+      report.unavailable.push(describeCommand({ action: "define", name: routine.name }));
+      return;
+    }
+
+    const defineBlock = blocklyWorkspace.newBlock("procedure_define");
+    defineBlock.setFieldValue(routine.name, "NAME");
+    defineBlock.setFieldValue(routine.parameter ? "TRUE" : "FALSE", "HAS_PARAM");
+    defineBlock.initSvg();
+    defineBlock.render();
+    report.created++;
+
+    // Place routines to the right of the start block
+    const startPos = startBlock.getRelativeToSurfaceXY();
+    defineBlock.moveBy(startPos.x + 350, startPos.y + index * 200);
+
+    appendCommandBlocks(defineBlock.getInput("DO").connection, routine.commands || [], report);
+  });
+
   // Find the last block in the chain connected to start block
   let lastBlock = startBlock;
   while (lastBlock.nextConnection && lastBlock.nextConnection.targetBlock()) {
     lastBlock = lastBlock.nextConnection.targetBlock();
   }
+  appendCommandBlocks(lastBlock.nextConnection, commands, report);
+
+  // Center on the start block to show all generated blocks
+  blocklyWorkspace.centerOnBlock(startBlock.id);
+  
+  if (report.unknown.length > 0) {
+    console.warn("Commands without a matching block:", report.unknown);
+  }
+  if (report.unavailable.length > 0) {
+    console.warn("Commands whose blocks this level does not offer:", report.unavailable);
+  }
+  console.log(`✅ Generated ${report.created} blocks successfully`);
+  return report;
+};
+
+/**
+ * Create the blocks for a list of AI commands and chain them onto a connection.
+ * Nested `commands` (e.g. of a repeat) go into the block's DO input, recursively.
+ * @param {Blockly.Connection} connection - Next connection or statement input to attach to
+ * @param {Array<Object>} commands - Commands in the /chatgpt response format
+ * @param {{created: number, unknown: Array<string>, unavailable: Array<string>}} report - Collects created and skipped commands
+ */
+function appendCommandBlocks(connection, commands, report) {
+  if (!Array.isArray(commands)) return;
 
   commands.forEach(cmd => {
-    let block = null;
+    const block = createCommandBlock(cmd, report);
+    if (!block) return;
 
-    if (cmd.action === "move") {
-      block = blocklyWorkspace.newBlock("move_forward");
-      block.setFieldValue(cmd.steps || 1, "STEPS");
-    }
-    else if (cmd.action === "rotate" && (cmd.direction === "counter-clockwise" || cmd.direction === "left")) {
-      block = blocklyWorkspace.newBlock("rotate_left");
-    }
-    else if (cmd.action === "rotate" && (cmd.direction === "clockwise" || cmd.direction === "right")) {
-      block = blocklyWorkspace.newBlock("rotate_right");
-    }
-    else if (cmd.action === "pick") {
-      block = blocklyWorkspace.newBlock("pick_object");
-    }
-    else if (cmd.action === "release") {
-      block = blocklyWorkspace.newBlock("release_object");
+    block.initSvg();
+    block.render();
+    report.created++;
+
+    // Connect to the last block in the chain
+    if (connection) {
+      connection.connect(block.previousConnection);
     }
-    else if (cmd.action === "repeat") {
-      block = blocklyWorkspace.newBlock("controls_repeat");
-      block.setFieldValue(cmd.times || 2, "TIMES");
-      // Note: Nested commands in repeat blocks would need recursive handling
+    connection = block.nextConnection;
+
+    const body = block.getInput("DO");
+    if (body && Array.isArray(cmd.commands)) {
+      appendCommandBlocks(body.connection, cmd.commands, report);
     }
+  });
+}
 
-    if (block) {
-      block.initSvg();
-      block.render();
+/**
+ * Short text for a command in chat messages, e.g. "jump" or "face up"
+ */
+function describeCommand(cmd) {
+  if (!cmd || typeof cmd !== "object" || !cmd.action) return JSON.stringify(cmd);
+  return [cmd.action, cmd.direction || cmd.name].filter(Boolean).join(" ");
+}
 
-      // Connect to the last block in the chain
-      if (lastBlock.nextConnection) {
-        lastBlock.nextConnection.connect(block.previousConnection);
-      }
+/**
+ * Pick the block for a single AI command
+ * @returns {{type: string, fields: Object}|null} Block type and field values,
+ *   or null for an unknown action or an entry that is not a command
+ */
+function getCommandBlock(cmd) {
+  if (!cmd || typeof cmd !== "object" || !cmd.action) {
+    return null;
+  }
+  if (cmd.action === "move" && cmd.direction === "backward") {
+    return { type: "move_backward", fields: { STEPS: cmd.steps || 1 } };
+  }
+  if (cmd.action === "move") {
+    return { type: "move_forward", fields: { STEPS: cmd.steps || 1 } };
+  }
+  if (cmd.action === "rotate" && (cmd.direction === "counter-clockwise" || cmd.direction === "left")) {
+    return { type: "rotate_left", fields: {} };
+  }
+  if (cmd.action === "rotate" && (cmd.direction === "clockwise" || cmd.direction === "right")) {
+    return { type: "rotate_right", fields: {} };
+  }
+  if (cmd.action === "face" && ["north", "east", "south", "west"].includes(cmd.direction)) {
+    return { type: "face_direction", fields: { DIRECTION: cmd.direction } };
+  }
+  if (cmd.action === "wait") {
+    return { type: "wait_seconds", fields: { SECONDS: cmd.seconds || 1 } };
+  }
+  if (cmd.action === "pick") {
+    return { type: "pick_object", fields: {} };
+  }
+  if (cmd.action === "release") {
+    return { type: "release_object", fields: {} };
+  }
+  if (cmd.action === "repeat") {
+    return { type: "controls_repeat", fields: { TIMES: cmd.times || 2 } };
+  }
+  if (cmd.action === "call" && getRoutineNames().includes(cmd.name)) {
+    return { type: "procedure_call", fields: { NAME: cmd.name, ARG: cmd.value || 1 } };
+  }
+  return null;
+}
 
-      lastBlock = block;
-    }
-  });
+/**
+ * Create the block for a single AI command
+ * @returns {Blockly.Block|null} The block, or null for an unknown action or a
+ *   block the current level does not offer (see report.unavailable)
+ */
+function createCommandBlock(cmd, report) {
+  const spec = getCommandBlock(cmd);
+  if (!spec) {
+    report.unknown.push(describeCommand(cmd));
+    return null;
+  }
+  if (!window.ToolboxManager.isAvailable(spec.type)) {
+    report.unavailable.push(describeCommand(cmd));
+    return null;
+  }
 
-  // Center on the start block to show all generated blocks
-  blocklyWorkspace.centerOnBlock(startBlock.id);
-  
-  console.log(`✅ Generated ${commands.length} blocks successfully`);
-};
+  const block = blocklyWorkspace.newBlock(spec.type);
+  Object.entries(spec.fields).forEach(([name, value]) => block.setFieldValue(value, name));
+  return block;
+}
   
\ No newline at end of file
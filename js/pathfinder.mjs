@@ -0,0 +1,85 @@
+import { FORWARD_OFFSETS } from './grid_world.mjs';
+
+/**
+ * Pathfinder - Walkable routes across a GridWorld
+ * A* search over the world's collision grid. The robot has to turn before it
+ * can step sideways, so the search tracks the direction it faces and costs
+ * every quarter turn the same as a step: the route found takes the fewest
+ * actions, steps and turns together, which also means the fewest conveyor
+ * ticks. Like GridWorld it has no Phaser dependency.
+ */
+export class Pathfinder {
+  /**
+   * @param {GridWorld} world - World whose walkable cells the routes cross
+   */
+  constructor(world) {
+    this.world = world;
+  }
+
+  /**
+   * Find a route between two cells
+   * @param {number|null} direction - Direction the robot starts out facing;
+   *   null when turns do not matter
+   * @returns {{ok: boolean, path: Array<{x: number, y: number}>, reason: string|null}}
+   *   path lists the cells to step onto in order, without the start cell;
+   *   reason is 'out-of-bounds', 'obstacle' or 'unreachable'
+   */
+  findPath(fromX, fromY, toX, toY, direction = null) {
+    const target = this.world.checkMove(toX, toY);
+    if (!target.ok) return { ok: false, path: [], reason: target.reason };
+    if (fromX === toX && fromY === toY) return { ok: true, path: [], reason: null };
+
+    const key = (x, y, dir) => `${x},${y},${dir}`;
+    const estimate = (x, y) => Math.abs(toX - x) + Math.abs(toY - y);
+
+    const open = [{ x: fromX, y: fromY, dir: direction, cost: 0, parent: null, score: estimate(fromX, fromY) }];
+    const best = new Map([[key(fromX, fromY, direction), 0]]);
+
+    while (open.length > 0) {
+      // Maps are small, so a scan for the cheapest node does instead of a heap
+      let cheapest = 0;
+      for (let i = 1; i < open.length; i++) {
+        if (open[i].score < open[cheapest].score) cheapest = i;
+      }
+      const node = open.splice(cheapest, 1)[0];
+      if (node.cost > best.get(key(node.x, node.y, node.dir))) continue;
+
+      if (node.x === toX && node.y === toY) {
+        return { ok: true, path: this.tracePath(node), reason: null };
+      }
+
+      FORWARD_OFFSETS.forEach((offset, dir) => {
+        const x = node.x + offset.x;
+        const y = node.y + offset.y;
+        if (!this.world.checkMove(x, y).ok) return;
+
+        const cost = node.cost + 1 + this.countTurns(node.dir, dir);
+        const nextKey = key(x, y, dir);
+        if (best.has(nextKey) && best.get(nextKey) <= cost) return;
+
+        best.set(nextKey, cost);
+        open.push({ x, y, dir, cost, parent: node, score: cost + estimate(x, y) });
+      });
+    }
+
+    return { ok: false, path: [], reason: 'unreachable' };
+  }
+
+  /**
+   * Quarter turns needed to face one direction from another
+   */
+  countTurns(from, to) {
+    if (from === null || from === to) return 0;
+    // South/North and East/West are opposite (their values add up to 3)
+    return from + to === 3 ? 2 : 1;
+  }
+
+  // Cells of a route, walked back from its last node
+  tracePath(node) {
+    const path = [];
+    for (let current = node; current.parent; current = current.parent) {
+      path.unshift({ x: current.x, y: current.y });
+    }
+    return path;
+  }
+}
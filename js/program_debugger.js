@@ -0,0 +1,313 @@
+/**
+ * Program Debugger
+ * Step-through execution of Blockly programs with live block highlighting
+ */
+
+class ProgramDebugger {
+  constructor() {
+    this.workspace = null;
+    this.state = 'idle'; // idle, running, paused
+    this.pauseRequested = false;
+    this.runningToEnd = false;
+    this.pauseReason = null; // step, breakpoint
+    this.currentBlockId = null;
+    this.resumeCallback = null;
+    this.breakpoints = new Set(); // Ids of blocks that pause the program
+    this.errorBlockIds = new Set(); // Ids of blocks whose action failed in the last run
+  }
+
+  /**
+   * Attach the Blockly workspace whose blocks should be highlighted
+   */
+  attach(workspace) {
+    this.workspace = workspace;
+    this.registerBreakpointMenu();
+
+    // Forget breakpoints on deleted blocks
+    workspace.addChangeListener(event => {
+      if (event.type === Blockly.Events.BLOCK_DELETE) {
+        event.ids.forEach(id => {
+          this.breakpoints.delete(id);
+          this.errorBlockIds.delete(id);
+        });
+      }
+    });
+  }
+
+  /**
+   * Add "Add/Remove Breakpoint" to the context menu of every statement block
+   */
+  registerBreakpointMenu() {
+    const registry = Blockly.ContextMenuRegistry.registry;
+    if (registry.getItem('toggle_breakpoint')) return;
+
+    registry.register({
+      id: 'toggle_breakpoint',
+      scopeType: Blockly.ContextMenuRegistry.ScopeType.BLOCK,
+      weight: 0,
+      displayText: (scope) => window.I18n.t(this.hasBreakpoint(scope.block.id) ? 'debugger.remove_breakpoint' : 'debugger.add_breakpoint'),
+      preconditionFn: (scope) => {
+        const block = scope.block;
+        if (block.isInFlyout || !block.previousConnection) return 'hidden';
+        return 'enabled';
+      },
+      callback: (scope) => this.toggleBreakpoint(scope.block)
+    });
+  }
+
+  /**
+   * Check if a block has a breakpoint
+   */
+  hasBreakpoint(blockId) {
+    return this.breakpoints.has(blockId);
+  }
+
+  /**
+   * Set or clear the breakpoint on a block
+   */
+  toggleBreakpoint(block) {
+    const enabled = !this.hasBreakpoint(block.id);
+    if (enabled) {
+      this.breakpoints.add(block.id);
+    } else {
+      this.breakpoints.delete(block.id);
+    }
+
+    const svgRoot = block.getSvgRoot();
+    if (svgRoot) {
+      svgRoot.classList.toggle('blockly-breakpoint', enabled);
+    }
+  }
+
+  /**
+   * Put a block in the error state with a warning explaining what went wrong
+   * @param {string|null} blockId - Block whose action failed
+   * @param {string} message - Warning text shown on the block
+   */
+  markError(blockId, message) {
+    const block = blockId && this.workspace ? this.workspace.getBlockById(blockId) : null;
+    if (!block) return;
+
+    this.errorBlockIds.add(blockId);
+    block.setWarningText(message);
+
+    const svgRoot = block.getSvgRoot();
+    if (svgRoot) {
+      svgRoot.classList.add('blockly-error');
+    }
+  }
+
+  /**
+   * Clear the error state of every block marked by markError()
+   */
+  clearErrors() {
+    this.errorBlockIds.forEach(id => {
+      const block = this.workspace ? this.workspace.getBlockById(id) : null;
+      if (!block) return;
+
+      block.setWarningText(null);
+      const svgRoot = block.getSvgRoot();
+      if (svgRoot) {
+        svgRoot.classList.remove('blockly-error');
+      }
+    });
+    this.errorBlockIds.clear();
+  }
+
+  /**
+   * Statement prefix injected before every generated block.
+   * %1 is replaced by Blockly with the quoted block id; the sandbox
+   * forwards the call to beforeBlock() below.
+   */
+  getStatementPrefix() {
+    return 'await beforeBlock(%1);\n';
+  }
+
+  /**
+   * Check if a program is currently running or paused
+   */
+  isActive() {
+    return this.state !== 'idle';
+  }
+
+  /**
+   * Begin a new run
+   * @param {boolean} stepMode - Pause before the first block instead of running freely
+   */
+  start(stepMode = false) {
+    this.state = 'running';
+    this.pauseRequested = stepMode;
+    this.runningToEnd = false;
+    this.pauseReason = null;
+    this.currentBlockId = null;
+    this.clearErrors();
+    this.updateUI();
+  }
+
+  /**
+   * Finish the current run and clear the highlight
+   */
+  finish() {
+    this.state = 'idle';
+    this.pauseRequested = false;
+    this.runningToEnd = false;
+    this.pauseReason = null;
+    this.currentBlockId = null;
+    this.resumeCallback = null;
+
+    if (this.workspace) {
+      this.workspace.highlightBlock(null);
+    }
+    if (window.GameAPI) {
+      window.GameAPI.setActiveBlock(null);
+    }
+
+    this.updateUI();
+  }
+
+  /**
+   * Called by the generated code before each block runs.
+   * Highlights the block and waits here while the program is paused,
+   * either by a step/pause request or by a breakpoint on the block.
+   * Throws an AbortError once the run has been stopped.
+   */
+  async beforeBlock(blockId, signal) {
+    if (signal) signal.throwIfAborted();
+    this.currentBlockId = blockId;
+
+    if (this.workspace) {
+      this.workspace.highlightBlock(blockId);
+    }
+    if (window.GameAPI) {
+      window.GameAPI.setActiveBlock(blockId);
+    }
+
+    const atBreakpoint = this.hasBreakpoint(blockId) && !this.runningToEnd;
+
+    if (this.pauseRequested || atBreakpoint) {
+      this.pauseReason = atBreakpoint ? 'breakpoint' : 'step';
+      this.pauseRequested = false;
+      this.state = 'paused';
+      this.updateUI();
+
+      await new Promise(resolve => {
+        this.resumeCallback = resolve;
+        if (signal) signal.addEventListener('abort', resolve, { once: true });
+      });
+      if (signal) signal.throwIfAborted();
+    }
+  }
+
+  /**
+   * Continue from the current pause
+   */
+  continueFromPause() {
+    if (this.state !== 'paused') return;
+
+    this.state = 'running';
+    this.pauseReason = null;
+    this.updateUI();
+
+    const resume = this.resumeCallback;
+    this.resumeCallback = null;
+    if (resume) resume();
+  }
+
+  /**
+   * Run the current block and pause again before the next one
+   */
+  step() {
+    if (this.state !== 'paused') return;
+    this.pauseRequested = true;
+    this.continueFromPause();
+  }
+
+  /**
+   * Pause before the next block
+   */
+  pause() {
+    if (this.state !== 'running' || this.runningToEnd) return;
+    this.pauseRequested = true;
+    this.updateUI();
+  }
+
+  /**
+   * Continue running until the next breakpoint or pause request
+   */
+  resume() {
+    this.pauseRequested = false;
+    this.continueFromPause();
+  }
+
+  /**
+   * Run the rest of the program, ignoring breakpoints
+   */
+  runToEnd() {
+    this.pauseRequested = false;
+    this.runningToEnd = true;
+    this.continueFromPause();
+  }
+
+  /**
+   * Stop the running program, flushing any queued robot actions
+   */
+  stop() {
+    if (!this.isActive()) return;
+    if (window.GameAPI) {
+      window.GameAPI.stop();
+    }
+  }
+
+  /**
+   * Update the debugger buttons to match the current state
+   */
+  updateUI() {
+    const stepBtn = document.getElementById('step-btn');
+    const pauseBtn = document.getElementById('pause-btn');
+    const resumeBtn = document.getElementById('resume-btn');
+    const runToEndBtn = document.getElementById('run-to-end-btn');
+    const stopBtn = document.getElementById('stop-btn');
+
+    const paused = this.state === 'paused';
+
+    if (stepBtn) stepBtn.disabled = this.state === 'running';
+    if (pauseBtn) {
+      pauseBtn.disabled = this.state !== 'running' || this.pauseRequested || this.runningToEnd;
+      pauseBtn.classList.toggle('active', paused);
+    }
+    if (resumeBtn) resumeBtn.disabled = !paused;
+    if (runToEndBtn) runToEndBtn.disabled = !paused;
+    if (stopBtn) stopBtn.disabled = !this.isActive();
+
+    this.updateStatePanel();
+  }
+
+  /**
+   * Show the robot's state from GameAPI.getState() while the program is paused
+   */
+  updateStatePanel() {
+    const panel = document.getElementById('debugger-state');
+    if (!panel) return;
+
+    const robot = this.state === 'paused' && window.GameAPI ? window.GameAPI.getState() : null;
+    if (!robot) {
+      panel.classList.add('d-none');
+      return;
+    }
+
+    const t = (key, params) => window.I18n.t(key, params);
+    const directionKeys = ['south', 'east', 'west', 'north'];
+    const title = t(this.pauseReason === 'breakpoint' ? 'debugger.stopped_at_breakpoint' : 'debugger.paused');
+
+    panel.innerHTML = `
+      <strong><i class="fas fa-circle-pause"></i> ${title}</strong>
+      <span>${t('debugger.position', { x: robot.gridX, y: robot.gridY })}</span>
+      <span>${t('debugger.facing', { direction: t(`direction.${directionKeys[robot.direction]}`) })}</span>
+      <span>${t(robot.isCarrying ? 'debugger.carrying_box' : 'debugger.carrying_nothing')}</span>
+    `;
+    panel.classList.remove('d-none');
+  }
+}
+
+// Initialize program debugger
+window.ProgramDebugger = new ProgramDebugger();
@@ -0,0 +1,149 @@
+/**
+ * Program Links
+ * Shareable links like `index.html#level=2&program=...` that open a level with
+ * a prepared workspace. The program is the Blockly workspace serialized to
+ * JSON, deflated and base64url-encoded.
+ */
+
+class ProgramLinks {
+  constructor() {
+    this.link = this.parseHash(window.location.hash);
+  }
+
+  /**
+   * Read the level and program from a URL hash
+   * @returns {{level: number|null, program: string|null}|null} null without link parameters
+   */
+  parseHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has('level') && !params.has('program')) return null;
+
+    const level = parseInt(params.get('level'), 10);
+    return {
+      level: Number.isInteger(level) ? level : null,
+      program: params.get('program')
+    };
+  }
+
+  /**
+   * Switch to the link's level. Runs at startup, before the game scene and
+   * program storage read the current level. A link cannot open a level the
+   * learner has not unlocked yet.
+   */
+  applyLevel() {
+    if (!this.link || this.link.level === null) return;
+
+    if (!window.LevelManager.getLevel(this.link.level)) {
+      console.warn(`Program link points to level ${this.link.level}, which does not exist`);
+      return;
+    }
+    if (!window.LevelManager.isUnlocked(this.link.level)) {
+      console.warn(`Program link points to level ${this.link.level}, which is locked`);
+      this.link.locked = true;
+      return;
+    }
+    window.LevelManager.goToLevel(this.link.level);
+  }
+
+  /**
+   * Load the link's program into the workspace. Runs once consent is given.
+   */
+  async openProgram() {
+    const link = this.link;
+    this.link = null;
+    this.clearHash();
+    if (!link) return;
+    if (link.locked) {
+      alert(window.I18n.t('link.level_locked', { level: link.level }));
+      return;
+    }
+    if (!link.program) return;
+
+    let blocks;
+    try {
+      blocks = await this.decode(link.program);
+    } catch (e) {
+      console.error('Error reading program link:', e);
+      alert(window.I18n.t('link.damaged'));
+      return;
+    }
+
+    const workspace = window.ProgramStorage.workspace;
+    const hasOwnBlocks = workspace.getAllBlocks(false).some(block => block.type !== 'custom_start');
+    if (hasOwnBlocks && !confirm(window.I18n.t('link.confirm_replace'))) {
+      return;
+    }
+
+    try {
+      window.ProgramStorage.load({ blocks });
+      window.ProgramStorage.save();
+    } catch (e) {
+      console.error('Error loading program link:', e);
+      alert(window.I18n.t('link.failed'));
+    }
+  }
+
+  /**
+   * Build a link to the current level with the workspace's program
+   */
+  async createLink() {
+    const blocks = this.stripIds(Blockly.serialization.workspaces.save(window.ProgramStorage.workspace));
+    const url = new URL(window.location.href);
+    url.hash = `level=${window.LevelManager.currentLevel}&program=${await this.encode(blocks)}`;
+    return url.toString();
+  }
+
+  /**
+   * Copy a link to the current program to the clipboard
+   */
+  async copyLink() {
+    const link = await this.createLink();
+    try {
+      await navigator.clipboard.writeText(link);
+      alert(window.I18n.t('link.copied'));
+    } catch (e) {
+      // Clipboard access is refused outside secure contexts
+      prompt(window.I18n.t('link.copy_prompt'), link);
+    }
+  }
+
+  // Remove the link from the address bar so a reload keeps the learner's own edits
+  clearHash() {
+    if (window.location.hash) {
+      history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+  }
+
+  // Block ids are regenerated on load, and leaving them out keeps links short
+  stripIds(value) {
+    if (Array.isArray(value)) return value.map(item => this.stripIds(item));
+    if (!value || typeof value !== 'object') return value;
+
+    const copy = {};
+    Object.keys(value).forEach(key => {
+      if (key !== 'id') copy[key] = this.stripIds(value[key]);
+    });
+    return copy;
+  }
+
+  async encode(data) {
+    const stream = new Blob([JSON.stringify(data)]).stream()
+      .pipeThrough(new CompressionStream('deflate-raw'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  async decode(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    const stream = new Blob([bytes]).stream()
+      .pipeThrough(new DecompressionStream('deflate-raw'));
+    return JSON.parse(await new Response(stream).text());
+  }
+}
+
+// Initialize program links
+window.ProgramLinks = new ProgramLinks();
@@ -0,0 +1,138 @@
+/**
+ * Program Sandbox
+ * Runs generated Blockly programs in a Web Worker instead of eval in page scope.
+ * Enforces an instruction budget and a loop limit, and ends programs that
+ * stop responding, so a runaway program can never freeze the tab.
+ */
+
+class ProgramSandbox {
+  constructor() {
+    this.workerUrl = 'js/sandbox_worker.js';
+    this.instructionBudget = 5000;   // Blocks a single run may execute
+    this.loopIterationLimit = 10000; // Loop iterations a single run may execute
+    this.conditionLoopLimit = 100;   // Iterations of one "repeat while/until" loop
+    this.watchdogTimeout = 2000;     // ms the program may compute without calling GameAPI
+
+    // The only GameAPI functions the program can call
+    this.allowedCalls = [
+      'rotateLeft', 'rotateRight', 'moveForward', 'moveBackward',
+      'pickupItem', 'dropItem', 'isCarryingItem',
+      'isPathBlocked', 'isItemInFront', 'isNextToConveyor',
+      'face', 'wait', 'setPosition', 'goToWaypoint', 'getState'
+    ];
+
+    // Globals the program must not reach; the worker shadows them with undefined
+    // parameters (eval, which strict mode cannot shadow, it removes instead)
+    this.hiddenGlobals = [
+      'self', 'globalThis', 'postMessage', 'onmessage', 'close', 'importScripts',
+      'fetch', 'XMLHttpRequest', 'WebSocket', 'Worker', 'indexedDB', 'caches',
+      'Function', 'setTimeout', 'setInterval'
+    ];
+  }
+
+  /**
+   * Create an error whose name tells the caller why the run ended
+   */
+  createError(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+  }
+
+  /**
+   * Run generated code in a fresh worker
+   * @param {string} code - Program body generated by Blockly
+   * @param {AbortSignal} signal - Aborting it terminates the worker
+   * @returns {Promise<void>} Resolves when the program ends, rejects with the reason it was stopped
+   */
+  run(code, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) return reject(signal.reason);
+
+      const worker = new Worker(this.workerUrl);
+      let hostCalls = 0;          // GameAPI calls the page is still answering
+      let busySince = Date.now(); // When the worker last started computing on its own
+
+      const end = (error) => {
+        worker.terminate();
+        clearInterval(watchdog);
+        signal.removeEventListener('abort', onAbort);
+        if (error) reject(error);
+        else resolve();
+      };
+
+      const onAbort = () => end(signal.reason);
+      signal.addEventListener('abort', onAbort);
+
+      // A worker stuck in a loop never calls back; end it after the timeout
+      const watchdog = setInterval(() => {
+        if (hostCalls === 0 && Date.now() - busySince > this.watchdogTimeout) {
+          end(this.createError('UnresponsiveProgramError', window.I18n.t('sandbox.unresponsive')));
+        }
+      }, 250);
+
+      worker.onmessage = async (event) => {
+        const message = event.data;
+
+        if (message.type === 'done') {
+          end();
+        } else if (message.type === 'failed') {
+          // The worker's limit errors come as message keys for the page to translate
+          const text = message.key ? window.I18n.t(message.key, message.params) : message.message;
+          end(this.createError(message.name, text));
+        } else if (message.type === 'call') {
+          hostCalls++;
+          try {
+            const value = await this.handleCall(message.name, message.args, signal);
+            if (!signal.aborted) worker.postMessage({ type: 'result', id: message.id, value });
+          } catch (e) {
+            if (!signal.aborted) worker.postMessage({ type: 'error', id: message.id, name: e.name, message: e.message });
+          } finally {
+            hostCalls--;
+            busySince = Date.now();
+          }
+        }
+      };
+
+      worker.onerror = (event) => {
+        event.preventDefault();
+        end(this.createError('SandboxError', event.message || window.I18n.t('sandbox.start_failed')));
+      };
+
+      worker.postMessage({
+        type: 'run',
+        code,
+        allowedCalls: this.allowedCalls,
+        hiddenGlobals: this.hiddenGlobals,
+        limits: {
+          instructionBudget: this.instructionBudget,
+          loopIterationLimit: this.loopIterationLimit,
+          conditionLoopLimit: this.conditionLoopLimit
+        }
+      });
+    });
+  }
+
+  /**
+   * Answer a call made by the program
+   */
+  async handleCall(name, args, signal) {
+    if (name === 'beforeBlock') {
+      return window.ProgramDebugger.beforeBlock(args[0], signal);
+    }
+    if (!this.allowedCalls.includes(name) || typeof window.GameAPI[name] !== 'function') {
+      throw this.createError('SandboxError', window.I18n.t('sandbox.call_not_allowed', { name }));
+    }
+    return window.GameAPI[name](...args);
+  }
+
+  /**
+   * Check if an error is one of the sandbox's own limits being hit
+   */
+  isLimitError(error) {
+    return ['InstructionBudgetError', 'InfiniteLoopError', 'UnresponsiveProgramError'].includes(error.name);
+  }
+}
+
+// Initialize program sandbox
+window.ProgramSandbox = new ProgramSandbox();
@@ -0,0 +1,182 @@
+/**
+ * Program Storage
+ * Autosaves the Blockly workspace to localStorage per participant and level,
+ * restores it when the level loads, and saves/opens programs as JSON files.
+ */
+
+class ProgramStorage {
+  constructor() {
+    this.workspace = null;
+    this.level = null;      // Level whose program is in the workspace
+    this.saveTimer = null;
+    this.saveDelay = 500;   // ms of no edits before autosaving
+    this.formatVersion = 1;
+  }
+
+  /**
+   * Attach the workspace and autosave its changes
+   */
+  attach(workspace, levelNumber) {
+    this.workspace = workspace;
+    this.level = levelNumber;
+
+    workspace.addChangeListener(event => {
+      if (event.isUiEvent) return;
+      clearTimeout(this.saveTimer);
+      this.saveTimer = setTimeout(() => this.save(), this.saveDelay);
+    });
+  }
+
+  /**
+   * localStorage key of a level's program, or null before consent
+   */
+  getKey(levelNumber) {
+    const participantId = window.ConsentManager && window.ConsentManager.getParticipantId();
+    if (!participantId) return null;
+    return `program_${participantId}_level_${levelNumber}`;
+  }
+
+  /**
+   * The workspace as a saved-program object (also the file format)
+   */
+  serialize() {
+    return {
+      version: this.formatVersion,
+      level: this.level,
+      savedAt: new Date().toISOString(),
+      blocks: Blockly.serialization.workspaces.save(this.workspace)
+    };
+  }
+
+  /**
+   * Save the workspace for the current level now
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    const key = this.getKey(this.level);
+    if (!key || !this.workspace) return;
+
+    try {
+      localStorage.setItem(key, JSON.stringify(this.serialize()));
+    } catch (e) {
+      console.error('Error saving program:', e);
+    }
+  }
+
+  /**
+   * Load a level's saved program into the workspace
+   * @returns {boolean} False when the level has no saved program
+   */
+  restore(levelNumber) {
+    this.level = levelNumber;
+    const key = this.getKey(levelNumber);
+    if (!key) return false;
+
+    try {
+      const saved = localStorage.getItem(key);
+      if (!saved) return false;
+      this.load(JSON.parse(saved));
+      return true;
+    } catch (e) {
+      console.error('Error restoring program:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Save the program of the level being left and show the next level's
+   * program, or a fresh start block when it has none
+   */
+  switchLevel(levelNumber) {
+    if (!this.workspace || levelNumber === this.level) return;
+
+    if (this.saveTimer) this.save();
+    if (!this.restore(levelNumber)) {
+      this.loadDefault();
+    }
+  }
+
+  /**
+   * Replace the workspace with a saved-program object. A program that fails
+   * to load (e.g. one with a block type this version does not have) leaves
+   * the previous program in place and throws.
+   */
+  load(program) {
+    if (!program || typeof program.blocks !== 'object') {
+      throw new Error(window.I18n.t('file.no_program'));
+    }
+
+    const previous = Blockly.serialization.workspaces.save(this.workspace);
+    try {
+      // Loading clears the workspace first, so a failure can leave it half built
+      Blockly.serialization.workspaces.load(program.blocks, this.workspace);
+    } catch (e) {
+      Blockly.serialization.workspaces.load(previous, this.workspace);
+      this.ensureStartBlock();
+      throw e;
+    }
+    this.ensureStartBlock();
+    this.workspace.clearUndo();
+  }
+
+  /**
+   * Replace the workspace with only the "When program starts" block
+   */
+  loadDefault() {
+    this.workspace.clear();
+    this.ensureStartBlock();
+    this.workspace.clearUndo();
+  }
+
+  // Every program needs exactly one start block, and it cannot be deleted
+  ensureStartBlock() {
+    let startBlock = this.workspace.getBlocksByType('custom_start')[0];
+    if (!startBlock) {
+      const startingBlocks = document.getElementById('blocks');
+      Blockly.Xml.domToWorkspace(startingBlocks, this.workspace);
+      startBlock = this.workspace.getBlocksByType('custom_start')[0];
+    }
+    startBlock.setDeletable(false);
+    this.workspace.centerOnBlock(startBlock.id);
+  }
+
+  /**
+   * Download the workspace as a JSON file
+   */
+  download() {
+    const blob = new Blob([JSON.stringify(this.serialize(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `mikestudio-level-${this.level}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Replace the workspace with a program file chosen by the user
+   * @param {File} file
+   */
+  async open(file) {
+    const text = await file.text();
+
+    let program;
+    try {
+      program = JSON.parse(text);
+    } catch (e) {
+      throw new Error(window.I18n.t('file.not_program'));
+    }
+
+    this.load(program);
+    this.save();
+    return program;
+  }
+}
+
+// Initialize program storage
+window.ProgramStorage = new ProgramStorage();
@@ -0,0 +1,653 @@
+/**
+ * Robot Language
+ * A small text language that mirrors the blocks, one statement per line:
+ *
+ *   define deliver with n {
+ *     pick
+ *     move n
+ *     drop
+ *   }
+ *
+ *   repeat until blocked {
+ *     move 1
+ *   }
+ *   if not carrying {
+ *     call deliver 2
+ *   } else {
+ *     turn left
+ *   }
+ *
+ * parse() turns text into a program tree, toBlocks() builds that tree under
+ * "When program starts", and fromBlocks() writes the blocks back as text.
+ */
+
+class RobotLanguage {
+  constructor() {
+    this.directions = ['north', 'east', 'south', 'west'];
+
+    // Condition words and the sensor blocks they stand for
+    this.sensors = {
+      blocked: 'sensor_path_blocked',
+      box_ahead: 'sensor_box_in_front',
+      near_conveyor: 'sensor_next_to_conveyor',
+      carrying: 'sensor_carrying_box'
+    };
+  }
+
+  // ------------------ Text -> program ------------------
+
+  /**
+   * Split source text into tokens, keeping line numbers for error messages.
+   * Words are matched in lower case; their text keeps its capitals for names.
+   */
+  tokenize(source) {
+    const tokens = [];
+    const lines = source.split('\n');
+
+    lines.forEach((text, index) => {
+      const line = index + 1;
+      const code = text.replace(/#.*/, ''); // Comments run to the end of the line
+      const pattern = /\s*(?:([{}])|("[^"]*")|(-?\d+(?:\.\d+)?)|([A-Za-z_]\w*)|(\S))/y;
+      let match;
+
+      while (pattern.lastIndex < code.length && (match = pattern.exec(code))) {
+        if (match[1]) tokens.push({ type: match[1], value: match[1], line });
+        else if (match[2]) tokens.push({ type: 'string', value: match[2].slice(1, -1), line });
+        else if (match[3]) tokens.push({ type: 'number', value: Number(match[3]), line });
+        else if (match[4]) tokens.push({ type: 'word', value: match[4].toLowerCase(), text: match[4], line });
+        else if (match[5]) tokens.push({ type: 'unknown', value: match[5], line });
+      }
+      tokens.push({ type: 'newline', value: '\n', line });
+    });
+
+    tokens.push({ type: 'eof', value: '', line: lines.length });
+    return tokens;
+  }
+
+  /**
+   * Parse source text
+   * @returns {{program: {routines: Array, body: Array}|null, errors: Array<{line: number, message: string}>}}
+   *   program is null when there are errors
+   */
+  parse(source) {
+    this.tokens = this.tokenize(source);
+    this.pos = 0;
+    this.errors = [];
+    this.routineNames = this.findRoutineNames();
+    this.routineParam = false; // Inside a routine that takes n
+
+    const program = { routines: [], body: [] };
+
+    while (this.peek().type !== 'eof') {
+      if (this.accept('newline')) continue;
+
+      // After an error inside { ... } the rest of that body is read at the top
+      // level, so its closing brace is not worth a second message
+      if (this.errors.length && this.accept('}')) continue;
+
+      try {
+        if (this.peekWord('define')) {
+          program.routines.push(this.parseDefine());
+        } else {
+          program.body.push(this.parseStatement());
+        }
+        this.expectEndOfStatement();
+      } catch (e) {
+        if (!e.line) throw e;
+        this.errors.push({ line: e.line, message: e.message });
+        this.skipLine();
+      }
+    }
+
+    return { program: this.errors.length ? null : program, errors: this.errors };
+  }
+
+  // Routines may be called before the line that defines them
+  findRoutineNames() {
+    const names = [];
+    this.tokens.forEach((token, index) => {
+      const next = this.tokens[index + 1];
+      if (token.type === 'word' && token.value === 'define' && next && (next.type === 'word' || next.type === 'string')) {
+        names.push(this.nameOf(next));
+      }
+    });
+    return names;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  peekWord(word) {
+    const token = this.peek();
+    return token.type === 'word' && token.value === word;
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  // Routine and waypoint names keep the capitals they were typed with
+  nameOf(token) {
+    return token.type === 'word' ? token.text : token.value;
+  }
+
+  accept(type) {
+    if (this.peek().type !== type) return null;
+    return this.next();
+  }
+
+  /**
+   * Create a parse error in the player's language
+   * @param {string} key - Message key (see js/locales/)
+   */
+  error(key, params = {}, token = this.peek()) {
+    const error = new Error(window.I18n.t(key, params));
+    error.line = token.line;
+    return error;
+  }
+
+  describe(token) {
+    if (token.type === 'newline' || token.type === 'eof') return window.I18n.t('language.end_of_line');
+    return `"${token.type === 'word' ? token.text : token.value}"`;
+  }
+
+  // what describes the expected token in the player's language
+  expected(what) {
+    return this.error('language.expected', { what, found: this.describe(this.peek()) });
+  }
+
+  expect(type, what) {
+    const token = this.peek();
+    if (token.type !== type) throw this.expected(what);
+    return this.next();
+  }
+
+  expectWord(words, what) {
+    const token = this.peek();
+    if (token.type !== 'word' || !words.includes(token.value)) throw this.expected(what);
+    return this.next().value;
+  }
+
+  // Ranges match the number fields of the blocks; without a max there is no upper limit
+  expectNumber(what, { min, max = Infinity, integer = true }) {
+    const token = this.peek();
+    if (token.type !== 'number') throw this.expected(what);
+    const value = token.value;
+    if ((integer && !Number.isInteger(value)) || value < min || value > max) {
+      let key = integer ? 'language.whole_number_range' : 'language.number_range';
+      if (max === Infinity) key = integer ? 'language.whole_number_min' : 'language.number_min';
+      throw this.error(key, { what: what[0].toUpperCase() + what.slice(1), min, max });
+    }
+    this.next();
+    return value;
+  }
+
+  expectEndOfStatement() {
+    const token = this.peek();
+    if (token.type === 'newline' || token.type === 'eof' || token.type === '}') return;
+    throw this.error('language.unexpected', { found: this.describe(token) });
+  }
+
+  skipLine() {
+    while (!['newline', 'eof'].includes(this.peek().type)) this.next();
+  }
+
+  parseDefine() {
+    const defineToken = this.next();
+    const nameToken = this.peek();
+    if (nameToken.type !== 'word' && nameToken.type !== 'string') {
+      throw this.expected(window.I18n.t('language.routine_name'));
+    }
+    this.next();
+    const name = this.nameOf(nameToken);
+
+    let hasParam = false;
+    if (this.peekWord('with')) {
+      this.next();
+      this.expectWord(['n'], '"n"');
+      hasParam = true;
+    }
+
+    this.routineParam = hasParam;
+    try {
+      return { type: 'define', name, hasParam, body: this.parseBody(defineToken), line: defineToken.line };
+    } finally {
+      this.routineParam = false;
+    }
+  }
+
+  /**
+   * Parse "{ ... }" holding statements on their own lines
+   */
+  parseBody(ownerToken) {
+    this.expect('{', '"{"');
+    const body = [];
+
+    for (;;) {
+      if (this.accept('newline')) continue;
+      if (this.accept('}')) return body;
+      if (this.peek().type === 'eof') {
+        throw this.error('language.missing_brace', { owner: ownerToken.value, line: ownerToken.line });
+      }
+      if (this.peekWord('define')) throw this.error('language.nested_define');
+
+      body.push(this.parseStatement());
+      this.expectEndOfStatement();
+    }
+  }
+
+  parseStatement() {
+    const token = this.peek();
+    if (token.type !== 'word') throw this.expected(window.I18n.t('language.command'));
+    this.next();
+    return { ...this.parseCommand(token), line: token.line };
+  }
+
+  parseCommand(token) {
+    switch (token.value) {
+      case 'move':
+        if (this.peekWord('n')) {
+          if (!this.routineParam) throw this.error('language.n_outside_routine');
+          this.next();
+          return { type: 'move', steps: 'n' };
+        }
+        return { type: 'move', steps: this.expectNumber(window.I18n.t('language.steps'), { min: 1 }) };
+      case 'back':
+        return { type: 'back', steps: this.expectNumber(window.I18n.t('language.steps'), { min: 1 }) };
+      case 'turn':
+        return { type: 'turn', direction: this.expectWord(['left', 'right'], window.I18n.t('language.turn')) };
+      case 'face':
+        return { type: 'face', direction: this.expectWord(this.directions, window.I18n.t('language.direction')) };
+      case 'goto':
+        return this.parseGoto();
+      case 'pick':
+        return { type: 'pick' };
+      case 'drop':
+        return { type: 'drop' };
+      case 'wait':
+        return { type: 'wait', seconds: this.expectNumber(window.I18n.t('language.seconds'), { min: 0, max: 10, integer: false }) };
+      case 'repeat':
+        return this.parseRepeat(token);
+      case 'if':
+        return this.parseIf(token);
+      case 'call':
+        return this.parseCall();
+      default:
+        throw this.error('language.unknown_command', { command: token.text }, token);
+    }
+  }
+
+  parseRepeat(repeatToken) {
+    if (this.peekWord('while') || this.peekWord('until')) {
+      const mode = this.next().value;
+      const condition = this.parseCondition();
+      return { type: 'loop', mode, condition, body: this.parseBody(repeatToken) };
+    }
+    const times = this.expectNumber(window.I18n.t('language.times'), { min: 1, max: 100 });
+    return { type: 'repeat', times, body: this.parseBody(repeatToken) };
+  }
+
+  parseIf(ifToken) {
+    const condition = this.parseCondition();
+    const body = this.parseBody(ifToken);
+
+    // "else" may follow the "}" on the same line or on the next one
+    const afterBody = this.pos;
+    while (this.accept('newline'));
+    if (this.peekWord('else')) {
+      const elseToken = this.next();
+      return { type: 'if', condition, body, elseBody: this.parseBody(elseToken) };
+    }
+    this.pos = afterBody;
+    return { type: 'if', condition, body, elseBody: null };
+  }
+
+  parseCondition() {
+    if (this.peekWord('not')) {
+      this.next();
+      return { type: 'not', condition: this.parseCondition() };
+    }
+    const sensor = this.expectWord(Object.keys(this.sensors), window.I18n.t('language.condition'));
+    return { type: 'sensor', sensor };
+  }
+
+  parseCall() {
+    const nameToken = this.peek();
+    if (nameToken.type !== 'word' && nameToken.type !== 'string') {
+      throw this.expected(window.I18n.t('language.routine_name'));
+    }
+    const name = this.nameOf(nameToken);
+    if (!this.routineNames.includes(name)) {
+      throw this.error('language.unknown_routine', { name });
+    }
+    this.next();
+
+    const argToken = this.accept('number');
+    return { type: 'call', name, arg: argToken ? argToken.value : 1 };
+  }
+
+  // Waypoints belong to the level, so any name is accepted here
+  parseGoto() {
+    const nameToken = this.peek();
+    if (nameToken.type !== 'word' && nameToken.type !== 'string') {
+      throw this.expected(window.I18n.t('language.waypoint_name'));
+    }
+    this.next();
+    return { type: 'goto', name: this.nameOf(nameToken) };
+  }
+
+  // ------------------ Program -> blocks ------------------
+
+  /**
+   * Find the statements built from blocks the current level does not offer
+   * @param {function(string): boolean} isAvailable - Whether a block type may be used
+   * @returns {Array<{line: number, message: string}>} Errors in the form parse() reports
+   */
+  findUnavailable(program, isAvailable) {
+    const errors = [];
+    const check = statements => statements.forEach(statement => {
+      if (this.getBlockTypes(statement).some(type => !isAvailable(type))) {
+        errors.push({ line: statement.line, message: window.I18n.t('language.unavailable') });
+      }
+      check(statement.body || []);
+      check(statement.elseBody || []);
+    });
+    check(program.routines);
+    check(program.body);
+    return errors;
+  }
+
+  // Block types statementToBlock() builds for a statement, not counting its body
+  getBlockTypes(statement) {
+    switch (statement.type) {
+      case 'define': return ['procedure_define'];
+      case 'move': return statement.steps === 'n' ? ['move_forward_by', 'procedure_param'] : ['move_forward'];
+      case 'back': return ['move_backward'];
+      case 'turn': return [statement.direction === 'left' ? 'rotate_left' : 'rotate_right'];
+      case 'face': return ['face_direction'];
+      case 'goto': return ['go_to_waypoint'];
+      case 'pick': return ['pick_object'];
+      case 'drop': return ['release_object'];
+      case 'wait': return ['wait_seconds'];
+      case 'repeat': return ['controls_repeat'];
+      case 'loop': return ['controls_whileUntil', ...this.getConditionTypes(statement.condition)];
+      case 'if': return [statement.elseBody ? 'controls_ifelse' : 'controls_if', ...this.getConditionTypes(statement.condition)];
+      case 'call': return ['procedure_call'];
+      default: return [];
+    }
+  }
+
+  getConditionTypes(condition) {
+    return condition.type === 'not'
+      ? ['logic_negate', ...this.getConditionTypes(condition.condition)]
+      : [this.sensors[condition.sensor]];
+  }
+
+  /**
+   * Replace the start block's chain and the routine definitions with a parsed program.
+   * Loose blocks outside the program are left alone. Programs that need blocks the
+   * current level does not offer, and workspaces whose program holds blocks the
+   * text cannot write (which the rebuild would lose), are refused before anything changes.
+   */
+  toBlocks(workspace, program) {
+    const startBlock = workspace.getBlocksByType('custom_start')[0];
+    if (!startBlock) throw new Error(window.I18n.t('language.no_start_block'));
+
+    const [textless] = this.findTextless(workspace);
+    if (textless) {
+      const error = new Error(textless.message);
+      error.line = textless.line;
+      throw error;
+    }
+
+    if (window.ToolboxManager) {
+      const [unavailable] = this.findUnavailable(program, type => window.ToolboxManager.isAvailable(type));
+      if (unavailable) {
+        const error = new Error(unavailable.message);
+        error.line = unavailable.line;
+        throw error;
+      }
+    }
+
+    Blockly.Events.setGroup(true); // One undo step for the whole edit
+    try {
+      const chain = startBlock.getNextBlock();
+      if (chain) chain.dispose(false);
+      workspace.getBlocksByType('procedure_define', false).forEach(block => block.dispose(false));
+
+      // Routines first, so "Run routine" blocks can select them
+      const startPos = startBlock.getRelativeToSurfaceXY();
+      program.routines.forEach((routine, index) => {
+        const block = this.newBlock(workspace, 'procedure_define');
+        block.setFieldValue(routine.name, 'NAME');
+        block.setFieldValue(routine.hasParam ? 'TRUE' : 'FALSE', 'HAS_PARAM');
+        block.moveBy(startPos.x + 350, startPos.y + index * 200);
+        this.appendStatements(workspace, block.getInput('DO').connection, routine.body);
+      });
+
+      this.appendStatements(workspace, startBlock.nextConnection, program.body);
+    } finally {
+      Blockly.Events.setGroup(false);
+    }
+  }
+
+  newBlock(workspace, type) {
+    const block = workspace.newBlock(type);
+    block.initSvg();
+    block.render();
+    return block;
+  }
+
+  appendStatements(workspace, connection, statements) {
+    statements.forEach(statement => {
+      const block = this.statementToBlock(workspace, statement);
+      connection.connect(block.previousConnection);
+      connection = block.nextConnection;
+    });
+  }
+
+  statementToBlock(workspace, statement) {
+    let block;
+
+    switch (statement.type) {
+      case 'move':
+        if (statement.steps === 'n') {
+          block = this.newBlock(workspace, 'move_forward_by');
+          const param = this.newBlock(workspace, 'procedure_param');
+          block.getInput('STEPS').connection.connect(param.outputConnection);
+        } else {
+          block = this.newBlock(workspace, 'move_forward');
+          block.setFieldValue(statement.steps, 'STEPS');
+        }
+        break;
+      case 'back':
+        block = this.newBlock(workspace, 'move_backward');
+        block.setFieldValue(statement.steps, 'STEPS');
+        break;
+      case 'turn':
+        block = this.newBlock(workspace, statement.direction === 'left' ? 'rotate_left' : 'rotate_right');
+        break;
+      case 'face':
+        block = this.newBlock(workspace, 'face_direction');
+        block.setFieldValue(statement.direction, 'DIRECTION');
+        break;
+      case 'goto':
+        block = this.newBlock(workspace, 'go_to_waypoint');
+        block.setFieldValue(statement.name, 'NAME');
+        break;
+      case 'pick':
+        block = this.newBlock(workspace, 'pick_object');
+        break;
+      case 'drop':
+        block = this.newBlock(workspace, 'release_object');
+        break;
+      case 'wait':
+        block = this.newBlock(workspace, 'wait_seconds');
+        block.setFieldValue(statement.seconds, 'SECONDS');
+        break;
+      case 'repeat':
+        block = this.newBlock(workspace, 'controls_repeat');
+        block.setFieldValue(statement.times, 'TIMES');
+        this.appendStatements(workspace, block.getInput('DO').connection, statement.body);
+        break;
+      case 'loop':
+        block = this.newBlock(workspace, 'controls_whileUntil');
+        block.setFieldValue(statement.mode.toUpperCase(), 'MODE');
+        this.connectCondition(workspace, block.getInput('BOOL'), statement.condition);
+        this.appendStatements(workspace, block.getInput('DO').connection, statement.body);
+        break;
+      case 'if':
+        block = this.newBlock(workspace, statement.elseBody ? 'controls_ifelse' : 'controls_if');
+        this.connectCondition(workspace, block.getInput('IF'), statement.condition);
+        this.appendStatements(workspace, block.getInput('DO').connection, statement.body);
+        if (statement.elseBody) {
+          this.appendStatements(workspace, block.getInput('ELSE').connection, statement.elseBody);
+        }
+        break;
+      case 'call':
+        block = this.newBlock(workspace, 'procedure_call');
+        block.setFieldValue(statement.name, 'NAME');
+        block.setFieldValue(statement.arg, 'ARG');
+        break;
+    }
+    return block;
+  }
+
+  connectCondition(workspace, input, condition) {
+    const block = condition.type === 'not'
+      ? this.newBlock(workspace, 'logic_negate')
+      : this.newBlock(workspace, this.sensors[condition.sensor]);
+    input.connection.connect(block.outputConnection);
+
+    if (condition.type === 'not') {
+      this.connectCondition(workspace, block.getInput('BOOL'), condition.condition);
+    }
+  }
+
+  // ------------------ Blocks -> text ------------------
+
+  /**
+   * Write the routines and the start block's chain as text
+   */
+  fromBlocks(workspace) {
+    const lines = [];
+    this.textless = []; // Blocks written as comments by blockToText()
+
+    workspace.getBlocksByType('procedure_define', true).forEach(routine => {
+      const param = routine.getFieldValue('HAS_PARAM') === 'TRUE' ? ' with n' : '';
+      lines.push(`define ${this.formatName(routine.getFieldValue('NAME'))}${param} {`);
+      this.chainToText(routine.getInputTargetBlock('DO'), 1, lines);
+      lines.push('}', '');
+    });
+
+    const startBlock = workspace.getBlocksByType('custom_start')[0];
+    if (startBlock) {
+      this.chainToText(startBlock.getNextBlock(), 0, lines);
+    }
+
+    return lines.join('\n').trimEnd() + '\n';
+  }
+
+  /**
+   * Find the program's blocks that have no text form, e.g. "Move to position"
+   * @returns {Array<{line: number, message: string}>} line is where fromBlocks() writes the block
+   */
+  findTextless(workspace) {
+    this.fromBlocks(workspace);
+    return this.textless.map(({ line, block }) => ({
+      line,
+      message: window.I18n.t('language.textless', { block: block.toString() })
+    }));
+  }
+
+  // Names that are not single words are quoted
+  formatName(name) {
+    return /^[A-Za-z_]\w*$/.test(name) ? name : `"${name.replace(/"/g, '')}"`;
+  }
+
+  chainToText(block, depth, lines) {
+    for (; block; block = block.getNextBlock()) {
+      this.blockToText(block, depth, lines);
+    }
+  }
+
+  blockToText(block, depth, lines) {
+    const indent = '  '.repeat(depth);
+    const add = (text) => lines.push(indent + text);
+    const addBody = (inputName) => this.chainToText(block.getInputTargetBlock(inputName), depth + 1, lines);
+
+    switch (block.type) {
+      case 'move_forward':
+        add(`move ${block.getFieldValue('STEPS')}`);
+        break;
+      case 'move_forward_by': {
+        const steps = block.getInputTargetBlock('STEPS');
+        add(`move ${steps && steps.type === 'procedure_param' ? 'n' : '?'}`);
+        break;
+      }
+      case 'move_backward':
+        add(`back ${block.getFieldValue('STEPS')}`);
+        break;
+      case 'rotate_left':
+        add('turn left');
+        break;
+      case 'rotate_right':
+        add('turn right');
+        break;
+      case 'face_direction':
+        add(`face ${block.getFieldValue('DIRECTION')}`);
+        break;
+      case 'go_to_waypoint':
+        add(`goto ${this.formatName(block.getFieldValue('NAME'))}`);
+        break;
+      case 'pick_object':
+        add('pick');
+        break;
+      case 'release_object':
+        add('drop');
+        break;
+      case 'wait_seconds':
+        add(`wait ${block.getFieldValue('SECONDS')}`);
+        break;
+      case 'controls_repeat':
+        add(`repeat ${block.getFieldValue('TIMES')} {`);
+        addBody('DO');
+        add('}');
+        break;
+      case 'controls_whileUntil':
+        add(`repeat ${block.getFieldValue('MODE').toLowerCase()} ${this.conditionToText(block.getInputTargetBlock('BOOL'))} {`);
+        addBody('DO');
+        add('}');
+        break;
+      case 'controls_if':
+      case 'controls_ifelse':
+        add(`if ${this.conditionToText(block.getInputTargetBlock('IF'))} {`);
+        addBody('DO');
+        if (block.type === 'controls_ifelse') {
+          add('} else {');
+          addBody('ELSE');
+        }
+        add('}');
+        break;
+      case 'procedure_call':
+        add(`call ${this.formatName(block.getFieldValue('NAME'))} ${block.getFieldValue('ARG')}`);
+        break;
+      default:
+        this.textless.push({ line: lines.length + 1, block });
+        add(`# "${block.toString()}" has no text form`);
+    }
+  }
+
+  // Missing conditions are written as "?" so the text shows what is left to fill in
+  conditionToText(block) {
+    if (!block) return '?';
+    if (block.type === 'logic_negate') return `not ${this.conditionToText(block.getInputTargetBlock('BOOL'))}`;
+
+    const word = Object.keys(this.sensors).find(key => this.sensors[key] === block.type);
+    return word || '?';
+  }
+}
+
+// Initialize robot language
+window.RobotLanguage = new RobotLanguage();
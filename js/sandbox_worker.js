@@ -0,0 +1,135 @@
+/**
+ * Sandbox Worker
+ * Runs a generated Blockly program off the page's main thread.
+ * The program only sees a GameAPI proxy with the whitelisted functions;
+ * every call is forwarded to the page and answered with its result.
+ */
+
+const AsyncFunction = Object.getPrototypeOf(async function() {}).constructor;
+
+// Function constructors and eval compile code in the worker's global scope,
+// where the hidden globals are in reach. Take the constructors off every kind
+// of function, so `(async () => {}).constructor` is no way out, and remove
+// eval, which a strict program cannot shadow with a parameter.
+[function() {}, async function() {}, function*() {}, async function*() {}].forEach(fn => {
+  Object.defineProperty(Object.getPrototypeOf(fn), 'constructor', { value: undefined });
+});
+delete globalThis.eval;
+
+let nextCallId = 0;
+const pendingCalls = new Map();
+let limits = { instructionBudget: 0, loopIterationLimit: 0, conditionLoopLimit: 0 };
+let instructionCount = 0;
+let loopIterationCount = 0;
+
+/**
+ * Create an error whose name survives the trip back to the page
+ */
+function sandboxError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+ * Create a limit error. The worker has no translations, so it carries a
+ * message key and params (see js/locales/) that the page translates.
+ */
+function limitError(name, key, params) {
+  const error = sandboxError(name, key);
+  error.key = key;
+  error.params = params;
+  return error;
+}
+
+/**
+ * Ask the page to run a function and wait for its result
+ */
+function callHost(name, args) {
+  return new Promise((resolve, reject) => {
+    const id = ++nextCallId;
+    pendingCalls.set(id, { resolve, reject });
+    postMessage({ type: 'call', id, name, args });
+  });
+}
+
+/**
+ * Statement prefix target: counts the instruction, then lets the
+ * page highlight the block and pause if the debugger asks it to
+ */
+async function beforeBlock(blockId) {
+  instructionCount++;
+  if (instructionCount > limits.instructionBudget) {
+    throw limitError('InstructionBudgetError', 'sandbox.instruction_budget', { limit: limits.instructionBudget });
+  }
+  await callHost('beforeBlock', [blockId]);
+}
+
+/**
+ * Loop trap target: runs on every loop iteration
+ */
+function loopTrap() {
+  loopIterationCount++;
+  if (loopIterationCount > limits.loopIterationLimit) {
+    throw limitError('InfiniteLoopError', 'sandbox.loop_limit', { limit: limits.loopIterationLimit });
+  }
+}
+
+/**
+ * Guard of "repeat while/until" loops: runs at the start of each of their
+ * iterations, so a condition that never changes ends the program
+ */
+function loopGuard(iteration) {
+  if (iteration > limits.conditionLoopLimit) {
+    throw limitError('InfiniteLoopError', 'sandbox.condition_loop_limit', { limit: limits.conditionLoopLimit });
+  }
+}
+
+/**
+ * Build the GameAPI proxy from the whitelisted function names
+ */
+function createGameAPI(allowedCalls) {
+  const api = {};
+  allowedCalls.forEach(name => {
+    api[name] = (...args) => callHost(name, args);
+  });
+  return Object.freeze(api);
+}
+
+/**
+ * Run the program with the GameAPI proxy and the sandbox's hooks as its only
+ * parameters; the page's hidden globals become undefined parameters that
+ * shadow the worker's own. The program runs in strict mode without a
+ * receiver, so `this` is undefined rather than the worker's global.
+ */
+async function runProgram(code, allowedCalls, hiddenGlobals) {
+  const program = new AsyncFunction(
+    'GameAPI', 'beforeBlock', 'loopTrap', 'loopGuard', ...hiddenGlobals,
+    `'use strict';\n${code}`
+  );
+  await program.call(undefined, createGameAPI(allowedCalls), beforeBlock, loopTrap, loopGuard);
+}
+
+onmessage = async (event) => {
+  const message = event.data;
+
+  if (message.type === 'run') {
+    limits = message.limits;
+    try {
+      await runProgram(message.code, message.allowedCalls, message.hiddenGlobals);
+      postMessage({ type: 'done' });
+    } catch (e) {
+      postMessage({ type: 'failed', name: e.name, message: e.message, key: e.key, params: e.params });
+    }
+  } else if (message.type === 'result' || message.type === 'error') {
+    const pending = pendingCalls.get(message.id);
+    if (!pending) return;
+    pendingCalls.delete(message.id);
+
+    if (message.type === 'result') {
+      pending.resolve(message.value);
+    } else {
+      pending.reject(sandboxError(message.name, message.message));
+    }
+  }
+};
@@ -0,0 +1,141 @@
+/**
+ * Text Editor
+ * Text panel next to the Blockly workspace that shows the program in the
+ * robot language (see robot_language.js). Block edits rewrite the text, and
+ * text edits that parse cleanly rebuild the blocks; syntax errors are marked
+ * on their line and listed under the editor.
+ */
+
+class TextEditor {
+  constructor() {
+    this.workspace = null;
+    this.visible = false;
+    this.syncedText = '';  // Text the blocks currently match
+    this.inputTimer = null;
+    this.inputDelay = 400; // ms of no typing before the text is applied
+  }
+
+  /**
+   * Attach the workspace and wire the editor
+   */
+  attach(workspace) {
+    this.workspace = workspace;
+
+    const textarea = document.getElementById('text-editor');
+    textarea.addEventListener('input', () => {
+      clearTimeout(this.inputTimer);
+      this.inputTimer = setTimeout(() => this.applyText(), this.inputDelay);
+      this.updateGutter(null);
+    });
+    textarea.addEventListener('scroll', () => {
+      document.getElementById('text-editor-gutter').scrollTop = textarea.scrollTop;
+    });
+
+    workspace.addChangeListener(event => {
+      if (event.isUiEvent || !this.visible) return;
+      this.refreshFromBlocks();
+    });
+  }
+
+  /**
+   * Show or hide the text panel
+   */
+  toggle() {
+    this.visible = !this.visible;
+    document.getElementById('text-editor-panel').classList.toggle('d-none', !this.visible);
+    document.getElementById('text-mode-btn').classList.toggle('active', this.visible);
+
+    if (this.visible) {
+      this.syncedText = '';
+      this.refreshFromBlocks();
+    }
+    Blockly.svgResize(this.workspace);
+  }
+
+  /**
+   * Rewrite the text from the blocks, unless the text already says the same
+   * (keeps the cursor in place while typing)
+   */
+  refreshFromBlocks() {
+    const text = window.RobotLanguage.fromBlocks(this.workspace);
+    if (text === this.syncedText) return;
+
+    this.syncedText = text;
+    document.getElementById('text-editor').value = text;
+    this.showErrors([]);
+  }
+
+  /**
+   * Parse the text and rebuild the blocks when it has no errors
+   */
+  applyText() {
+    const textarea = document.getElementById('text-editor');
+    const { program, errors } = window.RobotLanguage.parse(textarea.value);
+    // Commands the level has no blocks for are marked like syntax errors, and so
+    // are blocks the text cannot write, which rebuilding the program would lose
+    if (program) {
+      errors.push(...window.RobotLanguage.findUnavailable(program, type => window.ToolboxManager.isAvailable(type)));
+      errors.push(...window.RobotLanguage.findTextless(this.workspace));
+    }
+    this.showErrors(errors);
+    if (errors.length > 0) return;
+
+    // Blocks generated from the text write the same text back, so the
+    // change listener leaves the textarea alone
+    this.syncedText = '';
+    try {
+      window.RobotLanguage.toBlocks(this.workspace, program);
+    } catch (e) {
+      console.error('Could not build blocks from text:', e);
+      this.showErrors([{ line: e.line || 1, message: e.message }]);
+      return;
+    }
+    this.syncedText = window.RobotLanguage.fromBlocks(this.workspace);
+  }
+
+  /**
+   * Mark error lines in the gutter and list the messages under the editor
+   * @param {Array<{line: number, message: string}>} errors
+   */
+  showErrors(errors) {
+    this.updateGutter(errors);
+
+    const list = document.getElementById('text-editor-errors');
+    list.innerHTML = '';
+    errors.forEach(error => {
+      const item = document.createElement('div');
+      item.textContent = window.I18n.t('text_editor.error', { line: error.line, message: error.message });
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Number the lines, marking the ones with errors
+   * @param {Array<{line: number, message: string}>|null} errors
+   */
+  updateGutter(errors) {
+    const textarea = document.getElementById('text-editor');
+    const gutter = document.getElementById('text-editor-gutter');
+    const lineCount = textarea.value.split('\n').length;
+
+    // null keeps the markers of the last parse until the next one runs
+    const errorLines = errors
+      ? new Map(errors.map(error => [error.line, error.message]))
+      : new Map([...gutter.querySelectorAll('.error')].map(el => [Number(el.textContent), el.title]));
+
+    gutter.innerHTML = '';
+    for (let line = 1; line <= lineCount; line++) {
+      const number = document.createElement('div');
+      number.textContent = line;
+      if (errorLines.has(line)) {
+        number.className = 'error';
+        number.title = errorLines.get(line);
+      }
+      gutter.appendChild(number);
+    }
+    gutter.scrollTop = textarea.scrollTop;
+  }
+}
+
+// Initialize text editor
+window.TextEditor = new TextEditor();
@@ -0,0 +1,163 @@
+/**
+ * Toolbox Manager
+ * Swaps the flyout toolbox for each level and enforces the level's block budget.
+ * A level's `toolbox` config lists the available block types, per-type limits and
+ * a total budget; the flyout shows how many of each limited block are left.
+ */
+
+class ToolboxManager {
+  constructor() {
+    this.workspace = null;
+    this.fullToolbox = null; // Every block the editor defines
+    this.config = {};        // Toolbox config of the current level
+  }
+
+  /**
+   * Attach the workspace and the complete toolbox the levels choose from
+   */
+  attach(workspace, toolbox) {
+    this.workspace = workspace;
+    this.fullToolbox = toolbox;
+
+    // Counts change whenever blocks are added to or removed from the workspace
+    workspace.addChangeListener(event => {
+      if (event.type === Blockly.Events.BLOCK_CREATE || event.type === Blockly.Events.BLOCK_DELETE) {
+        this.refresh();
+      }
+    });
+  }
+
+  /**
+   * Use the toolbox, limits and budget of a level
+   * @param {Object} level - Level configuration from LevelManager
+   */
+  applyLevel(level) {
+    this.config = (level && level.toolbox) || {};
+    if (!this.workspace) return;
+
+    // Blockly disables flyout blocks once these are used up. The start block
+    // is not part of the learner's budget.
+    const maxBlocks = this.config.maxBlocks;
+    this.workspace.options.maxBlocks = maxBlocks === undefined ? Infinity : maxBlocks + 1;
+    this.workspace.options.maxInstances = { ...(this.config.limits || {}) };
+
+    this.refresh();
+  }
+
+  /**
+   * Check if a block type is available in the current level. "Go to" is only
+   * offered when the level's map has waypoints to go to.
+   */
+  isAvailable(type) {
+    if (type === 'go_to_waypoint' && window.GameAPI && window.GameAPI.getWaypoints().length === 0) {
+      return false;
+    }
+    const { blocks, excludedBlocks = [] } = this.config;
+    return (!blocks || blocks.includes(type)) && !excludedBlocks.includes(type);
+  }
+
+  /**
+   * Blocks of a type that may still be added (Infinity without a limit)
+   */
+  getRemaining(type) {
+    const limits = this.config.limits || {};
+    if (!(type in limits)) return Infinity;
+    return Math.max(limits[type] - this.workspace.getBlocksByType(type, false).length, 0);
+  }
+
+  /**
+   * Blocks of any type that may still be added (Infinity without a budget)
+   */
+  getRemainingBudget() {
+    if (this.config.maxBlocks === undefined) return Infinity;
+    return Math.max(this.workspace.remainingCapacity(), 0);
+  }
+
+  /**
+   * Find where the workspace breaks the level's limits, e.g. after a level change or
+   * with blocks from a file, a link, the text editor or the chat
+   * @returns {Array<{message: string, blockIds: Array<string>}>} Empty when within limits;
+   *   blockIds are the blocks the level does not offer or that are over a per-type limit
+   */
+  getViolations() {
+    const violations = [];
+    const limits = this.config.limits || {};
+
+    // Disabled blocks do not run, so they may stay
+    const unavailable = this.workspace.getAllBlocks(false).filter(block =>
+      block.type !== 'custom_start' && !this.isAvailable(block.type) &&
+      block.isEnabled() && !block.getInheritedDisabled()
+    );
+    if (unavailable.length > 0) {
+      violations.push({
+        message: window.I18n.t('toolbox.not_available'),
+        blockIds: unavailable.map(block => block.id)
+      });
+    }
+
+    Object.keys(limits).forEach(type => {
+      const blocks = this.workspace.getBlocksByType(type, true);
+      if (blocks.length > limits[type]) {
+        violations.push({
+          message: window.I18n.t('toolbox.limit_exceeded', { limit: limits[type] }),
+          blockIds: blocks.slice(limits[type]).map(block => block.id)
+        });
+      }
+    });
+
+    if (this.config.maxBlocks !== undefined && this.workspace.remainingCapacity() < 0) {
+      violations.push({
+        message: window.I18n.t('toolbox.budget_exceeded', { limit: this.config.maxBlocks }),
+        blockIds: []
+      });
+    }
+    return violations;
+  }
+
+  /**
+   * Rebuild the flyout from the level config with up-to-date remaining counts
+   */
+  refresh() {
+    if (!this.workspace || !this.fullToolbox) return;
+    this.workspace.updateToolbox(this.buildToolbox());
+  }
+
+  /**
+   * The full toolbox filtered to the level's blocks, with "N left" labels
+   */
+  buildToolbox() {
+    const contents = [];
+
+    this.fullToolbox.contents.forEach(item => {
+      if (item.kind === 'label') {
+        contents.push({ ...item });
+        return;
+      }
+      if (!this.isAvailable(item.type)) return;
+
+      const remaining = this.getRemaining(item.type);
+      if (remaining !== Infinity) {
+        contents.push({ kind: 'label', text: window.I18n.t('toolbox.remaining', { count: remaining }), 'web-class': 'toolbox-remaining' });
+      }
+      contents.push(item);
+    });
+
+    // Drop section labels whose blocks were all filtered out
+    const pruned = contents.filter((item, index) => {
+      if (item.kind !== 'label' || item['web-class']) return true;
+      const next = contents[index + 1];
+      return next && (next.kind === 'block' || next['web-class']);
+    });
+
+    // Show the total budget on the first label
+    const budget = this.getRemainingBudget();
+    if (budget !== Infinity && pruned.length && pruned[0].kind === 'label') {
+      pruned[0] = { ...pruned[0], text: `${pruned[0].text} (${window.I18n.t('toolbox.remaining', { count: budget })})` };
+    }
+
+    return { ...this.fullToolbox, contents: pruned };
+  }
+}
+
+// Initialize toolbox manager
+window.ToolboxManager = new ToolboxManager();
@@ -0,0 +1,135 @@
+/**
+ * Trace Timeline
+ * Scrubber under the simulation that rewinds and replays the recorded
+ * execution trace (GameAPI.getTrace()) frame by frame
+ */
+
+class TraceTimeline {
+  constructor() {
+    this.frameIndex = 0;
+    this.playTimer = null;
+    this.playInterval = 500; // ms between frames during replay
+  }
+
+  /**
+   * Check if the user may scrub (not while a program is driving the robot)
+   */
+  canScrub() {
+    return !(window.ProgramDebugger && window.ProgramDebugger.isActive());
+  }
+
+  /**
+   * Sync the scrubber with the trace. While a program runs it follows the latest frame.
+   */
+  refresh() {
+    const trace = window.GameAPI ? window.GameAPI.getTrace() : [];
+    const scrubber = document.getElementById('trace-scrubber');
+    if (!scrubber) return;
+
+    if (!this.canScrub()) {
+      this.stopPlayback();
+    }
+
+    const lastIndex = Math.max(trace.length - 1, 0);
+    if (!this.canScrub() || this.frameIndex > lastIndex) {
+      this.frameIndex = lastIndex;
+    }
+
+    scrubber.max = lastIndex;
+    scrubber.value = this.frameIndex;
+    this.updateUI(trace);
+  }
+
+  /**
+   * Rewind or fast-forward the scene to a recorded frame
+   */
+  showFrame(index) {
+    if (!this.canScrub()) return;
+
+    const trace = window.GameAPI.getTrace();
+    if (index < 0 || index >= trace.length) return;
+
+    this.frameIndex = index;
+    const frame = window.GameAPI.showTraceFrame(index);
+
+    // Point at the block that caused this frame
+    const workspace = Blockly.getMainWorkspace();
+    if (workspace) {
+      const block = frame && frame.blockId ? workspace.getBlockById(frame.blockId) : null;
+      workspace.highlightBlock(block ? block.id : null);
+    }
+
+    document.getElementById('trace-scrubber').value = index;
+    this.updateUI(trace);
+  }
+
+  /**
+   * Move one frame backwards or forwards
+   */
+  stepBy(delta) {
+    this.stopPlayback();
+    this.showFrame(this.frameIndex + delta);
+  }
+
+  /**
+   * Replay the run from the current frame, or pause the replay
+   */
+  togglePlayback() {
+    if (this.playTimer) {
+      this.stopPlayback();
+      return;
+    }
+
+    const trace = window.GameAPI.getTrace();
+    if (this.frameIndex >= trace.length - 1) {
+      this.showFrame(0);
+    }
+
+    this.playTimer = setInterval(() => {
+      if (this.frameIndex >= window.GameAPI.getTrace().length - 1) {
+        this.stopPlayback();
+        return;
+      }
+      this.showFrame(this.frameIndex + 1);
+    }, this.playInterval);
+    this.updateUI(trace);
+  }
+
+  stopPlayback() {
+    if (!this.playTimer) return;
+    clearInterval(this.playTimer);
+    this.playTimer = null;
+    this.updateUI(window.GameAPI.getTrace());
+  }
+
+  /**
+   * Update the buttons and the frame label
+   */
+  updateUI(trace) {
+    const scrubber = document.getElementById('trace-scrubber');
+    const prevBtn = document.getElementById('trace-prev-btn');
+    const playBtn = document.getElementById('trace-play-btn');
+    const nextBtn = document.getElementById('trace-next-btn');
+    const label = document.getElementById('trace-label');
+
+    const enabled = this.canScrub() && trace.length > 1;
+    scrubber.disabled = !enabled;
+    prevBtn.disabled = !enabled || this.frameIndex === 0;
+    nextBtn.disabled = !enabled || this.frameIndex >= trace.length - 1;
+    playBtn.disabled = !enabled;
+    playBtn.innerHTML = this.playTimer ? '<i class="fas fa-pause"></i>' : '<i class="fas fa-play"></i>';
+
+    const frame = trace[this.frameIndex];
+    if (trace.length <= 1 || !frame) {
+      label.textContent = window.I18n.t('trace.empty');
+      label.classList.remove('failed');
+      return;
+    }
+
+    label.textContent = `${this.frameIndex} / ${trace.length - 1} · ${frame.label}`;
+    label.classList.toggle('failed', !frame.ok);
+  }
+}
+
+// Initialize trace timeline
+window.TraceTimeline = new TraceTimeline();
@@ -33,18 +33,30 @@ app.post("/chatgpt", async (req, res) => {
             {
             "commands": [
                 { "action": "move", "direction": "forward", "steps": 2 },
+                { "action": "move", "direction": "backward", "steps": 1 },
                 { "action": "rotate", "direction": "clockwise" },
                 { "action": "rotate", "direction": "counter-clockwise" },
                 { "action": "pick" },
                 { "action": "release" },
-                { "action": "repeat", "times": 3, "commands": [...] }
+                { "action": "face", "direction": "north" },
+                { "action": "wait", "seconds": 1 },
+                { "action": "repeat", "times": 3, "commands": [...] },
+                { "action": "call", "name": "deliver", "value": 2 }
+            ],
+            "routines": [
+                { "name": "deliver", "parameter": true, "commands": [...] }
             ]
             }
             
             Notes:
             - Use "clockwise" or "counter-clockwise" for rotation (NOT "left" or "right")
             - Use "repeat" action to create loops with nested commands
-            - "move" only goes forward (no backward movement)
+            - Use "routines" for a sequence the user wants to reuse, and "call" to run it by name
+            - "value" is the routine's number parameter; only give it when "parameter" is true
+            - Omit "routines" when no routine is needed
+            - "move" goes "forward" or "backward"
+            - "face" turns the robot to "north", "east", "south" or "west"
+            - "wait" pauses the robot for up to 10 seconds
             `
         },
         { role: "user", content: prompt }
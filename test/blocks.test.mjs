@@ -0,0 +1,214 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBlocks, createWorkspace, LEVELS } from './helpers.mjs';
+
+const Blockly = loadBlocks();
+
+// Save a workspace and load it into a fresh one, like autosave, files and links do
+function roundTrip(workspace) {
+  const saved = Blockly.serialization.workspaces.save(workspace);
+  const loaded = createWorkspace(Blockly);
+  Blockly.serialization.workspaces.load(saved, loaded);
+  return loaded;
+}
+
+test('"Run routine" keeps its routine across save and load', () => {
+  const workspace = createWorkspace(Blockly);
+  const routine = workspace.newBlock('procedure_define');
+  routine.setFieldValue('Deliver', 'NAME');
+  const call = workspace.newBlock('procedure_call');
+  call.setFieldValue('Deliver', 'NAME');
+  call.setFieldValue(2, 'ARG');
+  workspace.getBlocksByType('custom_start')[0].nextConnection.connect(call.previousConnection);
+
+  const loaded = roundTrip(workspace);
+  const loadedCall = loaded.getBlocksByType('procedure_call')[0];
+  assert.equal(loadedCall.getFieldValue('NAME'), 'Deliver');
+  assert.equal(loadedCall.getField('NAME').getText(), 'Deliver');
+});
+
+test('text written from blocks reads back with the same names and numbers', () => {
+  const workspace = createWorkspace(Blockly);
+  const routine = workspace.newBlock('procedure_define');
+  routine.setFieldValue('Deliver', 'NAME');
+  const move = workspace.newBlock('move_forward');
+  move.setFieldValue(150, 'STEPS');
+  const call = workspace.newBlock('procedure_call');
+  call.setFieldValue('Deliver', 'NAME');
+  call.setFieldValue(2, 'ARG');
+  workspace.getBlocksByType('custom_start')[0].nextConnection.connect(move.previousConnection);
+  move.nextConnection.connect(call.previousConnection);
+
+  const text = window.RobotLanguage.fromBlocks(workspace);
+  assert.match(text, /^define Deliver \{$/m);
+  assert.match(text, /^call Deliver 2$/m);
+
+  const { program, errors } = window.RobotLanguage.parse(text);
+  assert.deepEqual(errors, []);
+  assert.equal(program.routines[0].name, 'Deliver');
+  assert.deepEqual(program.body.map(({ line, ...statement }) => statement), [
+    { type: 'move', steps: 150 },
+    { type: 'call', name: 'Deliver', arg: 2 }
+  ]);
+});
+
+test('text is not applied over blocks it cannot write', () => {
+  const workspace = createWorkspace(Blockly);
+  const move = workspace.newBlock('move_forward');
+  savedVariables.set('Dock', 'dock'); // "Move to position" lists the saved positions
+  const moveTo = workspace.newBlock('move_to_position');
+  savedVariables.clear();
+  workspace.getBlocksByType('custom_start')[0].nextConnection.connect(move.previousConnection);
+  move.nextConnection.connect(moveTo.previousConnection);
+
+  const text = window.RobotLanguage.fromBlocks(workspace);
+  assert.match(text.split('\n')[1], /has no text form/);
+  assert.deepEqual(window.RobotLanguage.findTextless(workspace).map(error => error.line), [2]);
+
+  const { program } = window.RobotLanguage.parse(text);
+  assert.throws(() => window.RobotLanguage.toBlocks(workspace, program), error => error.line === 2);
+  assert.ok(!moveTo.isDisposed());
+  assert.equal(move.getNextBlock(), moveTo);
+});
+
+test('"Go to" keeps a waypoint the level has not loaded yet', () => {
+  const workspace = createWorkspace(Blockly);
+  const goTo = workspace.newBlock('go_to_waypoint');
+  goTo.setFieldValue('Loading dock', 'NAME');
+
+  const loaded = roundTrip(workspace);
+  assert.equal(loaded.getBlocksByType('go_to_waypoint')[0].getFieldValue('NAME'), 'Loading dock');
+});
+
+test('blocks a level does not offer are violations unless disabled', () => {
+  const workspace = createWorkspace(Blockly);
+  window.ToolboxManager.attach(workspace, null);
+  window.ToolboxManager.applyLevel(LEVELS[1]); // No loops in level 1
+
+  const start = workspace.getBlocksByType('custom_start')[0];
+  const repeat = workspace.newBlock('controls_repeat');
+  start.nextConnection.connect(repeat.previousConnection);
+  const loose = workspace.newBlock('controls_repeat');
+  loose.setEnabled(false);
+
+  const violations = window.ToolboxManager.getViolations();
+  assert.equal(violations.length, 1);
+  assert.deepEqual(violations[0].blockIds, [repeat.id]);
+  window.ToolboxManager.applyLevel(null);
+});
+
+test('the text editor refuses commands whose blocks the level does not offer', () => {
+  const workspace = createWorkspace(Blockly);
+  window.ToolboxManager.attach(workspace, null);
+  window.ToolboxManager.applyLevel(LEVELS[1]);
+
+  const { program } = window.RobotLanguage.parse('move 1\nrepeat 2 {\n  turn left\n}\n');
+  const errors = window.RobotLanguage.findUnavailable(program, type => window.ToolboxManager.isAvailable(type));
+  assert.deepEqual(errors.map(error => error.line), [2]);
+  assert.throws(() => window.RobotLanguage.toBlocks(workspace, program), { line: 2 });
+  assert.equal(workspace.getAllBlocks(false).length, 1); // Only the start block
+  window.ToolboxManager.applyLevel(null);
+});
+
+test('"Run routine" passes n only to routines that take it', () => {
+  const workspace = createWorkspace(Blockly);
+  const start = workspace.getBlocksByType('custom_start')[0];
+  ['deliver', 'walk'].forEach((name, index) => {
+    const routine = workspace.newBlock('procedure_define');
+    routine.setFieldValue(name, 'NAME');
+    routine.setFieldValue(index === 1 ? 'TRUE' : 'FALSE', 'HAS_PARAM');
+    const call = workspace.newBlock('procedure_call');
+    call.setFieldValue(name, 'NAME');
+    call.setFieldValue(3, 'ARG');
+    (start.getNextBlock() || start).nextConnection.connect(call.previousConnection);
+  });
+
+  const python = generateRobotCode(workspace, 'python');
+  assert.match(python, /^def deliver\(\):$/m);
+  assert.match(python, /^deliver\(\)$/m);
+  assert.match(python, /^walk\(3\)$/m);
+  assert.match(generateRobotCode(workspace, 'dart'), /^  deliver\(\);$/m);
+
+  Blockly.JavaScript.init(workspace);
+  const [deliverCall, walkCall] = workspace.getBlocksByType('procedure_call', true);
+  assert.equal(Blockly.JavaScript.blockToCode(deliverCall, true), 'await deliver();\n');
+  assert.equal(Blockly.JavaScript.blockToCode(walkCall, true), 'await walk(3);\n');
+});
+
+test('routines named after what the generated code uses still run the robot', async () => {
+  const workspace = createWorkspace(Blockly);
+  const start = workspace.getBlocksByType('custom_start')[0];
+  ['GameAPI', 'robot', 'loopTrap'].forEach(name => {
+    const routine = workspace.newBlock('procedure_define');
+    routine.setFieldValue(name, 'NAME');
+    routine.getInput('DO').connection.connect(workspace.newBlock('move_forward').previousConnection);
+    const call = workspace.newBlock('procedure_call');
+    call.setFieldValue(name, 'NAME');
+    (start.getNextBlock() || start).nextConnection.connect(call.previousConnection);
+  });
+
+  // Generated and run the way the page and the sandbox worker do it
+  Blockly.JavaScript.INFINITE_LOOP_TRAP = 'loopTrap();\n';
+  Blockly.JavaScript.init(workspace);
+  workspace.getBlocksByType('procedure_define', false).forEach(routine => Blockly.JavaScript.blockToCode(routine));
+  const code = Blockly.JavaScript.finish(Blockly.JavaScript.blockToCode(start));
+  Blockly.JavaScript.INFINITE_LOOP_TRAP = null;
+
+  const calls = [];
+  const GameAPI = { moveForward: async () => calls.push('moveForward') };
+  const AsyncFunction = Object.getPrototypeOf(async function() {}).constructor;
+  const program = new AsyncFunction('GameAPI', 'beforeBlock', 'loopTrap', 'loopGuard',
+    ...window.ProgramSandbox.hiddenGlobals, code);
+  await program(GameAPI, async () => {}, () => {}, () => {});
+  assert.deepEqual(calls, ['moveForward', 'moveForward', 'moveForward']);
+
+  const python = generateRobotCode(workspace, 'python');
+  assert.doesNotMatch(python, /^def robot\(/m);
+  assert.equal(python.match(/robot\.move_forward\(1\)/g).length, 3);
+});
+
+test('parse errors are written in the player\'s language', () => {
+  const { errors } = window.RobotLanguage.parse('move 0\njump\n');
+  assert.deepEqual(errors, [
+    { line: 1, message: 'The number of steps must be a whole number of at least 1.' },
+    { line: 2, message: 'Unknown command "jump".' }
+  ]);
+
+  window.I18n.locale = 'es';
+  try {
+    assert.equal(window.RobotLanguage.parse('turn up\n').errors[0].message,
+      'Se esperaba "left" o "right" pero se encontró "up".');
+  } finally {
+    window.I18n.locale = 'en';
+  }
+});
+
+test('a program that fails to load leaves the previous program in place', () => {
+  const workspace = createWorkspace(Blockly);
+  workspace.centerOnBlock = () => {}; // Headless workspaces do not scroll
+  const start = workspace.getBlocksByType('custom_start')[0];
+  start.nextConnection.connect(workspace.newBlock('pick_object').previousConnection);
+  window.ProgramStorage.attach(workspace, 1);
+
+  const program = {
+    blocks: {
+      blocks: {
+        blocks: [{ type: 'custom_start', next: { block: { type: 'teleport' } } }]
+      }
+    }
+  };
+  assert.throws(() => window.ProgramStorage.load(program));
+  assert.deepEqual(workspace.getAllBlocks(true).map(block => block.type), ['custom_start', 'pick_object']);
+  assert.equal(workspace.getBlocksByType('custom_start')[0].isDeletable(), false);
+});
+
+test('"Go to" is only offered on levels with waypoints', () => {
+  window.GameAPI = { getWaypoints: () => [] };
+  try {
+    assert.equal(window.ToolboxManager.isAvailable('go_to_waypoint'), false);
+    window.GameAPI.getWaypoints = () => ['Loading dock'];
+    assert.equal(window.ToolboxManager.isAvailable('go_to_waypoint'), true);
+  } finally {
+    delete window.GameAPI;
+  }
+});
@@ -0,0 +1,261 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DIRECTIONS, GridWorld } from '../js/grid_world.mjs';
+import { Pathfinder } from '../js/pathfinder.mjs';
+import { LEVELS, loadLevel, readMap } from './helpers.mjs';
+
+test('level 1 starts with the robot and the box where the level puts them', () => {
+  const world = loadLevel(1);
+  assert.deepEqual(world.getState(), { direction: DIRECTIONS.SOUTH, gridX: 1, gridY: 6, isCarrying: false });
+  assert.equal(world.items.length, 1);
+  assert.deepEqual([world.items[0].gridX, world.items[0].gridY], [0, 7]);
+  assert.ok(world.isGoal(7, 0));
+  assert.ok(world.isConveyor(0, 7));
+});
+
+// A 4x3 isometric map with its layout drawn on an object layer
+function layoutWorld(levelConfig) {
+  return new GridWorld({
+    width: 4,
+    height: 3,
+    orientation: 'isometric',
+    tilewidth: 64,
+    tileheight: 32,
+    layers: [
+      { type: 'tilelayer', name: 'Floor', data: new Array(12).fill(1) },
+      { type: 'tilelayer', name: 'Belts', data: [1, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0], properties: [{ name: 'conveyor', type: 'bool', value: true }] },
+      {
+        type: 'objectgroup',
+        name: 'Layout',
+        objects: [
+          // Isometric positions count tile heights along both axes
+          { name: 'Robot', type: 'robot', point: true, x: 80, y: 48, properties: [{ name: 'direction', type: 'string', value: 'East' }] },
+          // Rectangles are placed by their centre, not their top left corner
+          { name: 'Box', type: 'item', x: 24, y: 8, width: 32, height: 32, properties: [{ name: 'frame', type: 'int', value: 2 }] },
+          { name: 'Goal', class: 'Goal', x: 96, y: 0, width: 32, height: 32 }
+        ]
+      }
+    ]
+  }, levelConfig);
+}
+
+test('the layout drawn on an object layer places the robot, items and goals', () => {
+  const world = layoutWorld();
+  assert.deepEqual(world.levelConfig.playerStart, { x: 2, y: 1, direction: DIRECTIONS.EAST });
+  assert.deepEqual(world.levelConfig.itemSpawns, [{ spriteKey: 'boxes', x: 1, y: 0, frame: 2, scale: 1.5 }]);
+  assert.deepEqual(world.levelConfig.goalConveyors, [{ x: 3, y: 0 }]);
+  assert.equal(world.levelConfig.conveyorLayer, 'Belts');
+});
+
+test('level config fields override the map\'s layout, unless left undefined', () => {
+  const world = layoutWorld({ playerStart: { x: 0, y: 2, direction: DIRECTIONS.NORTH }, goalConveyors: undefined });
+  assert.deepEqual(world.getState(), { direction: DIRECTIONS.NORTH, gridX: 0, gridY: 2, isCarrying: false });
+  assert.deepEqual(world.levelConfig.goalConveyors, [{ x: 3, y: 0 }]);
+  assert.equal(world.items.length, 1);
+});
+
+test('steps stop at the map edge and at obstacles', () => {
+  const world = loadLevel(1);
+  assert.deepEqual(world.step(1), { ok: true, reason: null, x: 1, y: 7 });
+  assert.deepEqual(world.step(1), { ok: false, reason: 'out-of-bounds', x: 1, y: 8 });
+
+  world.face('west');
+  assert.ok(world.isPathAheadBlocked()); // The box's conveyor
+  assert.equal(world.step(1).reason, 'obstacle');
+  assert.deepEqual([world.robot.gridX, world.robot.gridY], [1, 7]);
+});
+
+test('the shipped maps mark belts as item surfaces the robot cannot enter', () => {
+  [1, 2].forEach(levelNumber => {
+    const world = loadLevel(levelNumber);
+    assert.equal(world.getTileProperty(0, 7, 'Tile Layer 2', 'collides'), true);
+    assert.equal(world.getTileProperty(0, 7, 'Tile Layer 2', 'itemSurface'), true);
+    assert.equal(world.getTileProperty(0, 0, 'Tile Layer 1', 'walkable'), true);
+    assert.ok(world.isObstacle(0, 7));
+    assert.ok(!world.isObstacle(1, 7));
+  });
+
+  // The embedded tileset, not the layer, decides: a walkable belt lets the robot on
+  const map = readMap(LEVELS[1].mapFile);
+  const belt = map.tilesets[0].tiles.find(tile => tile.id === 1);
+  belt.properties.find(property => property.name === 'collides').value = false;
+  const world = new GridWorld(map, LEVELS[1]);
+  assert.ok(!world.isObstacle(0, 7));
+  assert.ok(world.isItemSurface(0, 7));
+});
+
+test('turns go round in both directions', () => {
+  const world = loadLevel(1);
+  assert.equal(world.rotate(-1), DIRECTIONS.EAST);
+  assert.equal(world.rotate(-1), DIRECTIONS.NORTH);
+  assert.equal(world.rotate(+1), DIRECTIONS.EAST);
+  assert.equal(world.rotate(+1), DIRECTIONS.SOUTH);
+  assert.equal(world.face('up'), true);
+  assert.equal(world.robot.direction, DIRECTIONS.NORTH);
+  assert.equal(world.face('sideways'), false);
+});
+
+test('delivering the box to the goal conveyor wins level 1', () => {
+  const world = loadLevel(1);
+  world.step(1);
+  world.face('west');
+  assert.ok(world.isItemInFront());
+  assert.equal(world.pickup().ok, true);
+  assert.ok(world.isCarryingItem());
+
+  world.face('east');
+  for (let i = 0; i < 6; i++) assert.equal(world.step(1).ok, true);
+  world.face('north');
+  for (let i = 0; i < 6; i++) assert.equal(world.step(1).ok, true);
+  assert.ok(world.isNextToConveyor());
+
+  const drop = world.drop();
+  assert.equal(drop.ok, true);
+  assert.deepEqual([drop.x, drop.y, drop.outcome], [7, 0, 'win']);
+});
+
+test('dropping the box on the floor loses', () => {
+  const world = loadLevel(1);
+  world.step(1);
+  world.face('west');
+  world.pickup();
+  world.face('north');
+  assert.equal(world.drop().outcome, 'lose');
+});
+
+test('picking up and dropping need a box', () => {
+  const world = loadLevel(1);
+  assert.equal(world.pickup().reason, 'no-item');
+  assert.equal(world.drop().reason, 'not-carrying');
+
+  world.step(1);
+  world.face('west');
+  world.pickup();
+  assert.equal(world.pickup().reason, 'already-carrying');
+});
+
+test('restoring a snapshot puts the robot and the items back', () => {
+  const world = loadLevel(1);
+  const start = world.snapshot();
+  world.step(1);
+  world.face('west');
+  world.pickup();
+
+  world.restore(start);
+  assert.deepEqual(world.snapshot(), start);
+  assert.equal(world.isCarryingItem(), false);
+});
+
+// A 5x2 floor with an eastbound belt along the bottom row's first four cells
+function beltWorld(levelConfig) {
+  const floor = new Array(10).fill(1);
+  const belts = [0, 0, 0, 0, 0, 1, 1, 1, 1, 0];
+  return new GridWorld({
+    width: 5,
+    height: 2,
+    properties: [{ name: 'conveyorDirection', type: 'string', value: 'east' }],
+    layers: [
+      { type: 'tilelayer', name: 'Floor', data: floor },
+      { type: 'tilelayer', name: 'Belts', data: belts, properties: [{ name: 'conveyor', type: 'bool', value: true }] }
+    ]
+  }, { playerStart: { x: 4, y: 0, direction: DIRECTIONS.WEST }, itemSpawns: [{ x: 0, y: 1 }], ...levelConfig });
+}
+
+test('belts carry items one cell per action and deliver them to a goal', () => {
+  const world = beltWorld({ goalConveyors: [{ x: 3, y: 1 }] });
+  const item = world.items[0];
+
+  assert.equal(world.rotate(+1), DIRECTIONS.NORTH);
+  assert.deepEqual([item.gridX, item.gridY], [1, 1]);
+  world.step(1); // Refused at the map edge, but still an action
+  assert.equal(item.gridX, 2);
+  assert.equal(world.outcome, null);
+
+  const actions = [];
+  world.onActionEnd = result => actions.push(result);
+  world.wait(1.5);
+  assert.equal(item.gridX, 3);
+  assert.equal(actions.length, 1);
+  assert.equal(actions[0].outcome, 'win');
+  assert.equal(world.outcome, 'win');
+
+  world.wait(1); // Items stay on the goal's belt, and the level stays won
+  assert.equal(actions[1].outcome, null);
+  assert.equal(world.outcome, 'win');
+});
+
+test('a belt running an item onto the floor loses', () => {
+  const world = beltWorld({ goalConveyors: [] });
+  world.wait(3);
+  assert.equal(world.items[0].gridX, 3);
+  assert.equal(world.outcome, null);
+  world.wait(1);
+  assert.equal(world.items[0].gridX, 4);
+  assert.equal(world.outcome, 'lose');
+});
+
+test('routes take the fewest steps and turns together', () => {
+  const world = loadLevel(1);
+  const pathfinder = new Pathfinder(world);
+
+  // Facing south, heading east first saves a turn
+  assert.deepEqual(pathfinder.findPath(1, 6, 3, 5, DIRECTIONS.SOUTH).path, [
+    { x: 2, y: 6 }, { x: 3, y: 6 }, { x: 3, y: 5 }
+  ]);
+  assert.equal(pathfinder.findPath(1, 6, 0, 7, DIRECTIONS.SOUTH).reason, 'obstacle');
+});
+
+// Walk a route the way the scene's "Go to" does: turn towards each cell, then step onto it
+function walkRoute(world, route) {
+  route.path.forEach(cell => {
+    const towards = world.getDirectionTo(cell.x, cell.y);
+    for (let turn = world.getTurnTowards(towards); turn !== 0; turn = world.getTurnTowards(towards)) {
+      world.rotate(turn);
+    }
+    assert.ok(world.moveRobotTo(cell.x, cell.y).ok);
+  });
+}
+
+test('"Go to" routes the robot to level 2\'s waypoints', () => {
+  const world = loadLevel(2);
+  const pathfinder = new Pathfinder(world);
+  assert.deepEqual(world.levelConfig.waypoints.map(waypoint => waypoint.name), ['Box 1', 'Box 2', 'Goal 1', 'Goal 2']);
+
+  const waypoint = world.getWaypoint('box 1');
+  const { gridX, gridY, direction } = world.robot;
+  walkRoute(world, pathfinder.findPath(gridX, gridY, waypoint.x, waypoint.y, direction));
+  assert.deepEqual([world.robot.gridX, world.robot.gridY], [1, 7]);
+  assert.equal(world.getWaypoint('Loading dock'), null);
+});
+
+test('"Go to" cannot reach a waypoint behind a wall', () => {
+  // A wall down the middle leaves the yard out of reach
+  const world = new GridWorld({
+    width: 4,
+    height: 3,
+    tilewidth: 32,
+    tileheight: 32,
+    layers: [
+      { type: 'tilelayer', name: 'Floor', data: new Array(12).fill(1) },
+      { type: 'tilelayer', name: 'Walls', data: [0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1, 0] },
+      {
+        type: 'objectgroup',
+        name: 'Waypoints',
+        objects: [
+          { name: 'Dock', type: 'waypoint', point: true, x: 48, y: 80 },
+          { name: 'Yard', type: 'waypoint', point: true, x: 112, y: 16 }
+        ]
+      }
+    ]
+  }, { playerStart: { x: 0, y: 0, direction: DIRECTIONS.SOUTH } });
+  const pathfinder = new Pathfinder(world);
+
+  const dock = world.getWaypoint('Dock');
+  assert.deepEqual(dock, { name: 'Dock', x: 1, y: 2 });
+  walkRoute(world, pathfinder.findPath(0, 0, dock.x, dock.y, DIRECTIONS.SOUTH));
+  assert.deepEqual([world.robot.gridX, world.robot.gridY], [1, 2]);
+
+  const yard = world.getWaypoint('Yard');
+  assert.deepEqual(pathfinder.findPath(1, 2, yard.x, yard.y, world.robot.direction),
+    { ok: false, path: [], reason: 'unreachable' });
+});
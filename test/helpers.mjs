@@ -0,0 +1,71 @@
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import vm from 'node:vm';
+import { GridWorld } from '../js/grid_world.mjs';
+
+const require = createRequire(import.meta.url);
+export const { LEVELS } = require('../js/levels.js');
+
+export function readMap(mapFile) {
+  return JSON.parse(readFileSync(new URL(`../assets/${mapFile}`, import.meta.url), 'utf8'));
+}
+
+/**
+ * The world of a level, set up like the game scene does it
+ */
+export function loadLevel(levelNumber) {
+  const level = LEVELS[levelNumber];
+  return new GridWorld(readMap(level.mapFile), level);
+}
+
+/**
+ * Load Blockly with the game's blocks, generators and text language, the way
+ * index.html does but without the page, the workspace and the game scene.
+ * Classic scripts run in the global scope, as in the browser.
+ * @returns {Object} Blockly
+ */
+export function loadBlocks() {
+  const { JSDOM } = require('jsdom');
+  const dom = new JSDOM('<!DOCTYPE html>', { url: 'http://localhost/' });
+  globalThis.window = globalThis;
+  globalThis.document = dom.window.document;
+  globalThis.localStorage = dom.window.localStorage;
+  if (typeof navigator === 'undefined') globalThis.navigator = dom.window.navigator;
+  globalThis.savedVariables = new Map();
+  globalThis.savedCoordinates = new Map();
+
+  const Blockly = require('../blockly/node.js');
+  globalThis.Blockly = Blockly;
+  Blockly.JavaScript = require('../blockly/javascript.js').javascriptGenerator;
+  Blockly.Python = require('../blockly/python.js').pythonGenerator;
+  Blockly.Lua = require('../blockly/lua.js').luaGenerator;
+  Blockly.Dart = require('../blockly/dart.js').dartGenerator;
+
+  runScript('js/i18n.js');
+  runScript('js/locales/en.js');
+  runScript('js/locales/es.js');
+  runScript('js/locales/pt.js');
+  runScript('js/program_sandbox.js');
+  // Block definitions and JavaScript generators; the rest of the file builds the page
+  runScript('js/new_blockly_setup.js', source => source.slice(0, source.indexOf('// --- Toolbox ---')));
+  runScript('js/code_generators.js');
+  runScript('js/robot_language.js');
+  runScript('js/toolbox_manager.js');
+  runScript('js/program_storage.js');
+  return Blockly;
+}
+
+function runScript(path, select = source => source) {
+  const source = readFileSync(new URL(`../${path}`, import.meta.url), 'utf8');
+  vm.runInThisContext(select(source), { filename: path });
+}
+
+/**
+ * A headless workspace with a start block, as the main workspace
+ */
+export function createWorkspace(Blockly) {
+  const workspace = new Blockly.Workspace();
+  Blockly.common.setMainWorkspace(workspace);
+  workspace.newBlock('custom_start');
+  return workspace;
+}
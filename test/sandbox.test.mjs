@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import { loadBlocks } from './helpers.mjs';
+
+loadBlocks();
+
+/**
+ * Run code in the sandbox worker, loaded into a context of its own as the
+ * browser loads it into a worker, with the page answering every GameAPI call
+ * @returns {Promise<{calls: Array, failure: Object|null}>}
+ */
+function runInWorker(code) {
+  const sandbox = window.ProgramSandbox;
+  const context = vm.createContext({});
+  const calls = [];
+
+  return new Promise(resolve => {
+    context.postMessage = message => {
+      if (message.type === 'call') {
+        if (message.name !== 'beforeBlock') calls.push([message.name, ...message.args]);
+        context.onmessage({ data: { type: 'result', id: message.id, value: null } });
+      } else {
+        resolve({ calls, failure: message.type === 'failed' ? message : null });
+      }
+    };
+    vm.runInContext(readFileSync(new URL('../js/sandbox_worker.js', import.meta.url), 'utf8'), context);
+    context.onmessage({
+      data: {
+        type: 'run',
+        code,
+        allowedCalls: sandbox.allowedCalls,
+        hiddenGlobals: sandbox.hiddenGlobals,
+        limits: {
+          instructionBudget: sandbox.instructionBudget,
+          loopIterationLimit: sandbox.loopIterationLimit,
+          conditionLoopLimit: sandbox.conditionLoopLimit
+        }
+      }
+    });
+  });
+}
+
+test('programs run with GameAPI and nothing of the worker', async () => {
+  const { calls, failure } = await runInWorker(`
+    await beforeBlock('a');
+    await GameAPI.moveForward(2);
+    await GameAPI.wait(typeof this, typeof self, typeof postMessage, typeof setTimeout, typeof eval);
+    await GameAPI.wait(typeof (async () => {}).constructor, typeof (() => {}).constructor,
+      typeof (function* () {}).constructor, typeof Object.getPrototypeOf(async function* () {}).constructor);
+  `);
+  assert.equal(failure, null);
+  assert.deepEqual(calls, [
+    ['moveForward', 2],
+    ['wait', 'undefined', 'undefined', 'undefined', 'undefined', 'undefined'],
+    ['wait', 'undefined', 'undefined', 'undefined', 'undefined']
+  ]);
+});
+
+test('programs cannot compile code in the worker\'s global scope', async () => {
+  const { failure } = await runInWorker(`(async () => {}).constructor('return this')();`);
+  assert.equal(failure.name, 'TypeError');
+});